@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { REVENUE_STATUSES } = require('./orderStatus');
+
+const DAY = 24 * 60 * 60 * 1000;
+const GROUPS = ['day', 'week', 'month'];
+const COMPARISONS = ['previous', 'year', 'none'];
+const VISIT_RETENTION_DAYS = parseInt(process.env.VISIT_RETENTION_DAYS) || 365;
+
+// Orders/visits between $1 and $2 (dates, both inclusive)
+const rangeSql = (column) => `${column} >= $1::date AND ${column} < $2::date + 1`;
+
+// Guests have no account, so customers are identified by user id or phone
+const CUSTOMER_SQL = 'COALESCE(user_id::text, phone)';
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+const parseDate = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value)) ? new Date(value) : null);
+
+// Helper: read ?from&to (YYYY-MM-DD, inclusive; default last 30 days), ?compare and ?group_by
+const parseRange = (query) => {
+  const to = parseDate(query.to) || new Date(isoDate(new Date()));
+  const from = parseDate(query.from) || new Date(to.getTime() - 29 * DAY);
+  if (from > to) return { error: 'from must be before to' };
+  const days = Math.round((to - from) / DAY) + 1;
+
+  const compare = COMPARISONS.includes(query.compare) ? query.compare : 'previous';
+  let previous = null;
+  if (compare === 'previous') {
+    previous = { from: isoDate(new Date(from - days * DAY)), to: isoDate(new Date(from - DAY)) };
+  } else if (compare === 'year') {
+    const lastYear = (date) => { const d = new Date(date); d.setUTCFullYear(d.getUTCFullYear() - 1); return isoDate(d); };
+    previous = { from: lastYear(from), to: lastYear(to) };
+  }
+  const groupBy = GROUPS.includes(query.group_by) ? query.group_by : days <= 62 ? 'day' : days <= 366 ? 'week' : 'month';
+  return { from: isoDate(from), to: isoDate(to), days, compare, previous, groupBy };
+};
+
+// Percentage with one decimal; 0 when there is nothing to divide by
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Headline numbers for one period
+const periodMetrics = async (db, { from, to }) => {
+  const orders = await db.query(`
+    SELECT COUNT(*) as orders,
+      COUNT(*) FILTER (WHERE status = ANY($3)) as paid_orders,
+      COALESCE(SUM(total) FILTER (WHERE status = ANY($3)), 0) as revenue,
+      COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled,
+      COUNT(DISTINCT ${CUSTOMER_SQL}) as customers,
+      COUNT(DISTINCT session_id) as converted_sessions
+    FROM orders WHERE ${rangeSql('created_at')}
+  `, [from, to, REVENUE_STATUSES]);
+  // A repeat customer ordered in the period and has more than one order up to its end
+  const repeat = await db.query(`
+    SELECT COUNT(*) as repeat_customers FROM (
+      SELECT ${CUSTOMER_SQL} as customer FROM orders
+      WHERE created_at < $2::date + 1
+      GROUP BY customer
+      HAVING COUNT(*) > 1 AND BOOL_OR(created_at >= $1::date)
+    ) c
+  `, [from, to]);
+  const visits = await db.query(`
+    SELECT COUNT(*) as visits, COUNT(DISTINCT COALESCE(session_id, ip_hash)) as visitors
+    FROM site_visits WHERE ${rangeSql('visited_at')}
+  `, [from, to]);
+
+  const o = orders.rows[0];
+  const revenue = parseFloat(o.revenue);
+  const paidOrders = parseInt(o.paid_orders);
+  const customers = parseInt(o.customers);
+  const visitors = parseInt(visits.rows[0].visitors);
+  return {
+    orders: parseInt(o.orders),
+    revenue,
+    average_order_value: paidOrders > 0 ? Math.round((revenue / paidOrders) * 100) / 100 : 0,
+    customers,
+    repeat_customer_rate: percent(parseInt(repeat.rows[0].repeat_customers), customers),
+    cancellation_rate: percent(parseInt(o.cancelled), parseInt(o.orders)),
+    visits: parseInt(visits.rows[0].visits),
+    unique_visitors: visitors,
+    conversion_rate: percent(parseInt(o.converted_sessions), visitors)
+  };
+};
+
+// Percentage change of every metric against the comparison period (null when it was 0)
+const compareMetrics = (current, previous) => Object.fromEntries(Object.keys(current).map(key => [
+  key,
+  previous[key] ? Math.round(((current[key] - previous[key]) / previous[key]) * 1000) / 10 : null
+]));
+
+// Sold lines of revenue-counting orders. Line revenue is before coupon discounts;
+// old orders may lack a line subtotal or category, so fall back to price x quantity and the product.
+const SOLD_LINES_SQL = `
+  SELECT (item->>'id')::int as product_id, item->>'name' as name,
+    COALESCE(NULLIF(item->>'category', ''), p.category, '') as category,
+    (item->>'quantity')::int as quantity,
+    COALESCE((item->>'subtotal')::numeric, (item->>'price')::numeric * (item->>'quantity')::int) as revenue
+  FROM orders o
+  CROSS JOIN jsonb_array_elements(o.items) item
+  LEFT JOIN products p ON p.id = (item->>'id')::int
+  WHERE o.status = ANY($3) AND ${rangeSql('o.created_at')}
+`;
+
+const bestSellers = async (db, { from, to }, limit = 10) => {
+  const result = await db.query(`
+    SELECT product_id, MAX(name) as name, SUM(quantity)::int as quantity, SUM(revenue) as revenue
+    FROM (${SOLD_LINES_SQL}) lines
+    GROUP BY product_id ORDER BY quantity DESC, revenue DESC LIMIT $4
+  `, [from, to, REVENUE_STATUSES, limit]);
+  return result.rows.map(row => ({ ...row, revenue: parseFloat(row.revenue) }));
+};
+
+const bestCategories = async (db, { from, to }, limit = 10) => {
+  const result = await db.query(`
+    SELECT category, SUM(quantity)::int as quantity, SUM(revenue) as revenue
+    FROM (${SOLD_LINES_SQL}) lines
+    GROUP BY category ORDER BY revenue DESC LIMIT $4
+  `, [from, to, REVENUE_STATUSES, limit]);
+  return result.rows.map(row => ({ ...row, revenue: parseFloat(row.revenue) }));
+};
+
+// Revenue per day/week/month
+const revenueSeries = async (db, { from, to, groupBy }) => {
+  const result = await db.query(`
+    SELECT DATE_TRUNC($4, created_at)::date as period, COUNT(*)::int as orders, SUM(total) as revenue
+    FROM orders WHERE status = ANY($3) AND ${rangeSql('created_at')}
+    GROUP BY period ORDER BY period
+  `, [from, to, REVENUE_STATUSES, groupBy]);
+  return result.rows.map(row => ({ period: isoDate(row.period), orders: row.orders, revenue: parseFloat(row.revenue) }));
+};
+
+// Rough device class from the user agent; bots are not counted as visits
+const deviceType = (userAgent = '') => {
+  if (/bot|crawl|spider|slurp|preview|facebookexternalhit/i.test(userAgent)) return 'bot';
+  if (/ipad|tablet|android(?!.*mobile)/i.test(userAgent)) return 'tablet';
+  if (/mobi|iphone|android/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+// Keyed hash so visitors without a session id can still be told apart without storing their IP
+// (not recorded for requests relayed by a proxy that TRUST_PROXY doesn't cover)
+const hashIp = (ip) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(`visit:${ip}`).digest('hex');
+
+// Client-generated visitor session id (e.g. a UUID kept in sessionStorage)
+const cleanSessionId = (value) => (typeof value === 'string' && /^[\w-]{8,64}$/.test(value) ? value : null);
+
+const pruneVisits = async (db, days = VISIT_RETENTION_DAYS) => {
+  const result = await db.query('DELETE FROM site_visits WHERE visited_at < NOW() - make_interval(days => $1)', [days]);
+  return result.rowCount;
+};
+
+module.exports = {
+  parseRange, periodMetrics, compareMetrics, bestSellers, bestCategories, revenueSeries,
+  deviceType, hashIp, cleanSessionId, pruneVisits
+};
@@ -0,0 +1,12 @@
+const { pool } = require('./db');
+
+// Record who changed what; before/after are row snapshots (null for creations/deletions)
+const audit = (req, action, entity, entityId, before = null, after = null, db = pool) =>
+  db.query(
+    `INSERT INTO audit_log (user_id, action, entity, entity_id, before, after, ip)
+     VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+    [req.user.id, action, entity, entityId === null || entityId === undefined ? null : String(entityId),
+      before && JSON.stringify(before), after && JSON.stringify(after), req.ip]
+  );
+
+module.exports = { audit };
@@ -0,0 +1,100 @@
+const { EFFECTIVE_PRICE_SQL, variantPriceSql } = require('./pricing');
+const { expiredLotsSql } = require('./inventory');
+
+const MAX_QUANTITY = 99;
+
+// Cart lines joined with the current product/variant state
+const CART_LINES_SQL = `
+  SELECT c.id, c.product_id, c.variant_id, c.quantity, c.price_seen,
+    p.name, p.is_active as product_active, v.label as variant_label, v.is_active as variant_active,
+    CASE WHEN v.id IS NULL THEN p.final_price ELSE ${variantPriceSql('v', 'p')} END as price,
+    (CASE WHEN v.id IS NULL THEN p.stock - ${expiredLotsSql('p.id', 'NULL')}
+      ELSE v.stock - ${expiredLotsSql('p.id', 'v.id')} END)::int as stock,
+    EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id AND pv.is_active) as has_variants,
+    (SELECT pi.id FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.is_primary DESC, pi.position LIMIT 1) as image_id
+  FROM cart_items c
+  JOIN (SELECT *, ${EFFECTIVE_PRICE_SQL} as final_price FROM products) p ON p.id = c.product_id
+  LEFT JOIN product_variants v ON v.id = c.variant_id
+  WHERE c.user_id=$1
+  ORDER BY c.created_at, c.id
+`;
+
+// Why a line can't be ordered as it is (null when it can)
+const lineProblem = (row) => {
+  if (!row.product_active || (row.variant_id && !row.variant_active)) return 'inactive';
+  if (!row.variant_id && row.has_variants) return 'variant_required';
+  if (row.stock <= 0) return 'out_of_stock';
+  if (row.stock < row.quantity) return 'insufficient_stock';
+  return null;
+};
+
+// Read a customer's cart re-validated against current prices, stock and availability.
+// price_changed compares with the price the customer last saw; reading the cart marks the new price as seen.
+const readCart = async (db, userId, baseUrl) => {
+  const result = await db.query(CART_LINES_SQL, [userId]);
+  const items = result.rows.map(row => {
+    const price = parseFloat(row.price);
+    const previous = row.price_seen === null ? null : parseFloat(row.price_seen);
+    const problem = lineProblem(row);
+    return {
+      id: row.id,
+      product_id: row.product_id,
+      variant_id: row.variant_id,
+      name: row.name,
+      variant_label: row.variant_label,
+      thumbnail_url: row.image_id ? `${baseUrl}/api/products/images/${row.image_id}/thumb` : null,
+      quantity: row.quantity,
+      price,
+      previous_price: previous !== null && previous !== price ? previous : null,
+      price_changed: previous !== null && previous !== price,
+      available: problem === null,
+      available_stock: Math.max(row.stock, 0),
+      problem,
+      subtotal: price * row.quantity
+    };
+  });
+  await db.query(
+    `UPDATE cart_items c SET price_seen = seen.price
+     FROM (SELECT UNNEST($2::int[]) as id, UNNEST($3::numeric[]) as price) seen
+     WHERE c.id = seen.id AND c.user_id=$1 AND c.price_seen IS DISTINCT FROM seen.price`,
+    [userId, items.map(item => item.id), items.map(item => item.price)]
+  );
+  return {
+    items,
+    subtotal: items.filter(item => item.available).reduce((sum, item) => sum + item.subtotal, 0),
+    has_changes: items.some(item => item.price_changed || !item.available)
+  };
+};
+
+// Check that a product (and variant) can go in a cart; returns { error } or { price }
+const checkCartLine = async (db, productId, variantId) => {
+  const result = await db.query(`
+    SELECT p.is_active, ${EFFECTIVE_PRICE_SQL} as final_price,
+      EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active) as has_variants
+    FROM products p WHERE p.id=$1
+  `, [productId]);
+  const product = result.rows[0];
+  if (!product || !product.is_active) return { error: 'Product not found' };
+  if (variantId === null) {
+    if (product.has_variants) return { error: 'Choose a variant' };
+    return { price: product.final_price };
+  }
+  const variant = await db.query(
+    `SELECT ${variantPriceSql('v', 'p')} as final_price FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.id=$1 AND v.product_id=$2 AND v.is_active`,
+    [variantId, productId]
+  );
+  if (variant.rows.length === 0) return { error: 'Variant not found' };
+  return { price: variant.rows[0].final_price };
+};
+
+// Add to a cart line; mode "add" increments the quantity, "max" keeps the larger one (used when merging)
+const upsertCartLine = (db, userId, { productId, variantId, quantity, price }, mode = 'add') => db.query(`
+  INSERT INTO cart_items (user_id, product_id, variant_id, quantity, price_seen) VALUES ($1,$2,$3,$4,$5)
+  ON CONFLICT (user_id, product_id, COALESCE(variant_id, 0)) DO UPDATE SET
+    quantity = LEAST(${mode === 'add' ? 'cart_items.quantity + EXCLUDED.quantity' : 'GREATEST(cart_items.quantity, EXCLUDED.quantity)'}, ${MAX_QUANTITY}),
+    updated_at = NOW()
+  RETURNING *
+`, [userId, productId, variantId, Math.min(quantity, MAX_QUANTITY), price]);
+
+module.exports = { MAX_QUANTITY, readCart, checkCartLine, upsertCartLine };
@@ -0,0 +1,65 @@
+require('dotenv').config();
+const { pool } = require('./db');
+const { migrationStatus, migrateUp, migrateDown } = require('./migrator');
+const { createOwner, temporaryPassword } = require('./owner');
+const { pruneVisits } = require('./analytics');
+
+// Read --name value pairs from the command line
+const readOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+};
+
+const commands = {
+  async migrate() {
+    const applied = await migrateUp(pool);
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+  },
+
+  async 'migrate:down'(steps = '1') {
+    const reverted = await migrateDown(pool, parseInt(steps) || 1);
+    console.log(`Reverted ${reverted.length} migration(s)`);
+  },
+
+  async 'migrate:status'() {
+    const { applied, pending, problems } = await migrationStatus(pool);
+    for (const row of applied) console.log(`  applied  ${row.name} (${row.applied_at.toISOString()})`);
+    for (const migration of pending) console.log(`  pending  ${migration.name}`);
+    for (const problem of problems) console.log(`  BROKEN   ${problem}`);
+    if (problems.length > 0) process.exitCode = 1;
+  },
+
+  // create-admin --phone 0550000000 [--username "Owner"] [--password secret]
+  async 'create-admin'(...args) {
+    const { phone, username, password } = readOptions(args);
+    if (!phone) throw new Error('Usage: npm run create-admin -- --phone <phone> [--username <name>] [--password <password>]');
+    const temporary = password || temporaryPassword();
+    const owner = await createOwner(pool, { username: username || 'Admin', phone, password: temporary });
+    console.log(`Created owner account ${owner.phone} (id ${owner.id})`);
+    if (!password) console.log(`Temporary password: ${temporary}`);
+    console.log('The password must be changed at first login.');
+  },
+
+  // Delete visits older than the retention period (VISIT_RETENTION_DAYS, default 365); run it from cron
+  async 'prune-visits'(days) {
+    const deleted = await pruneVisits(pool, parseInt(days) || undefined);
+    console.log(`Deleted ${deleted} old visit(s)`);
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Unknown command. Available: ${Object.keys(commands).join(', ')}`);
+  process.exit(1);
+}
+
+commands[command](...args)
+  .catch((err) => {
+    console.error(err.code === '23505' ? 'Phone number already registered' : err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
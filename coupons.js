@@ -0,0 +1,67 @@
+const { normalizePhone, phoneSql } = require('./phones');
+
+const COUPON_TYPES = ['fixed', 'percent'];
+
+// Helper: the part of the cart a coupon applies to (all lines unless restricted by category/brand)
+const eligibleSubtotal = (coupon, lines) => {
+  const categories = coupon.categories || [];
+  const brands = coupon.brands || [];
+  return lines
+    .filter(line => (categories.length === 0 || categories.includes(line.category))
+      && (brands.length === 0 || brands.includes(line.brand)))
+    .reduce((sum, line) => sum + line.subtotal, 0);
+};
+
+// Lock a coupon and work out its discount for a priced cart.
+// customer is { userId, phone }; returns { coupon, discount } or { error }.
+const applyCoupon = async (client, code, lines, subtotal, customer) => {
+  const result = await client.query(
+    `SELECT * FROM coupons WHERE UPPER(code)=UPPER($1) AND is_active=true
+       AND (starts_at IS NULL OR starts_at <= NOW()) AND (ends_at IS NULL OR ends_at > NOW())
+     FOR UPDATE`,
+    [code.trim()]
+  );
+  const coupon = result.rows[0];
+  if (!coupon) return { error: 'Invalid or expired coupon' };
+
+  if (coupon.min_cart !== null && subtotal < parseFloat(coupon.min_cart)) {
+    return { error: `This coupon requires a minimum cart of ${coupon.min_cart}` };
+  }
+  if (coupon.max_uses !== null && coupon.used_count >= coupon.max_uses) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+  if (coupon.max_uses_per_customer !== null) {
+    const used = await client.query(
+      `SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id=$1 AND (user_id=$2 OR ${phoneSql('phone')}=$3)`,
+      [coupon.id, customer.userId, normalizePhone(customer.phone)]
+    );
+    if (parseInt(used.rows[0].count) >= coupon.max_uses_per_customer) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  const eligible = eligibleSubtotal(coupon, lines);
+  if (eligible === 0) return { error: 'This coupon does not apply to the items in your cart' };
+  const value = parseFloat(coupon.value);
+  const discount = coupon.type === 'percent' ? eligible * value / 100 : Math.min(value, eligible);
+  return { coupon, discount: Math.round(discount * 100) / 100 };
+};
+
+// Count a coupon use against an order
+const redeemCoupon = async (client, coupon, orderId, customer, discount) => {
+  await client.query('UPDATE coupons SET used_count = used_count + 1 WHERE id=$1', [coupon.id]);
+  await client.query(
+    'INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, phone, discount) VALUES ($1,$2,$3,$4,$5)',
+    [coupon.id, orderId, customer.userId, normalizePhone(customer.phone) || customer.phone, discount]
+  );
+};
+
+// Give back the coupon use of a cancelled, returned or deleted order
+const releaseCoupon = async (client, orderId) => {
+  const released = await client.query('DELETE FROM coupon_redemptions WHERE order_id=$1 RETURNING coupon_id', [orderId]);
+  for (const { coupon_id } of released.rows) {
+    await client.query('UPDATE coupons SET used_count = GREATEST(used_count - 1, 0) WHERE id=$1', [coupon_id]);
+  }
+};
+
+module.exports = { COUPON_TYPES, applyCoupon, redeemCoupon, releaseCoupon };
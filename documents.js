@@ -0,0 +1,136 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// Shop details printed on invoices and slips
+const SHOP = {
+  name: process.env.SHOP_NAME || 'Parapharmacie Shifa',
+  address: process.env.SHOP_ADDRESS || 'Tipaza, Algeria',
+  phone: process.env.SHOP_PHONE || '0661201294',
+  taxId: process.env.SHOP_TAX_ID || ''
+};
+
+// Amiri covers Latin and Arabic, so customer names and addresses written in Arabic print correctly
+// (Helvetica has no Arabic glyphs). Licensed under the OFL, see fonts/OFL.txt.
+const FONTS = {
+  regular: path.join(__dirname, 'fonts', 'Amiri-Regular.ttf'),
+  bold: path.join(__dirname, 'fonts', 'Amiri-Bold.ttf')
+};
+
+const money = (value) => `${parseFloat(value || 0).toFixed(2)} DA`;
+const formatDate = (value) => new Date(value).toLocaleDateString('fr-DZ');
+
+// Next number of the year's invoice sequence. The counter row stays locked until the
+// transaction ends, so numbers are handed out in order and a rollback leaves no gap.
+const nextInvoiceNumber = async (client, year) => {
+  const result = await client.query(
+    `INSERT INTO invoice_counters (year, last_number) VALUES ($1, 1)
+     ON CONFLICT (year) DO UPDATE SET last_number = invoice_counters.last_number + 1
+     RETURNING last_number`,
+    [year]
+  );
+  return `F-${year}-${String(result.rows[0].last_number).padStart(5, '0')}`;
+};
+
+// Invoice of an order, issued on first request with a frozen copy of the order
+const issueInvoice = async (client, order) => {
+  const existing = await client.query('SELECT * FROM invoices WHERE order_id=$1', [order.id]);
+  if (existing.rows.length > 0) return existing.rows[0];
+  const year = new Date().getFullYear();
+  const number = await nextInvoiceNumber(client, year);
+  const result = await client.query(
+    'INSERT INTO invoices (order_id, number, snapshot) VALUES ($1,$2,$3) RETURNING *',
+    [order.id, number, JSON.stringify(order)]
+  );
+  return result.rows[0];
+};
+
+// Helper: shop header and document title
+const drawHeader = (doc, title, subtitle) => {
+  doc.fontSize(18).text(SHOP.name);
+  doc.fontSize(9).fillColor('#555').text(SHOP.address).text(`Tél : ${SHOP.phone}`);
+  if (SHOP.taxId) doc.text(`NIF : ${SHOP.taxId}`);
+  doc.fillColor('#000').moveDown();
+  doc.fontSize(14).text(title, { align: 'right' });
+  doc.fontSize(9).text(subtitle, { align: 'right' }).moveDown();
+};
+
+// Helper: customer and delivery block
+const drawCustomer = (doc, order) => {
+  doc.fontSize(10).text('Client', { underline: true });
+  doc.text(order.customer_name || '-')
+    .text(`Tél : ${order.phone || '-'}`)
+    .text(order.address || '-')
+    .text([order.commune, order.wilaya].filter(Boolean).join(', '))
+    .text(`Livraison : ${order.delivery_mode === 'desk' ? 'Stop-desk' : 'À domicile'}`)
+    .moveDown();
+};
+
+// Helper: line items table
+const drawItems = (doc, items, withPrices) => {
+  const cols = withPrices ? [50, 320, 380, 460] : [50, 460];
+  const row = (cells, bold) => {
+    const y = doc.y;
+    doc.font(bold ? 'bold' : 'regular').fontSize(9);
+    cells.forEach((cell, idx) => doc.text(cell, cols[idx], y, { width: (cols[idx + 1] || 545) - cols[idx] - 5 }));
+    doc.moveDown(0.4);
+  };
+  row(withPrices ? ['Désignation', 'Qté', 'P.U.', 'Total'] : ['Désignation', 'Qté'], true);
+  for (const item of items) {
+    const label = item.variant_label ? `${item.name} (${item.variant_label})` : item.name;
+    row(withPrices
+      ? [label, String(item.quantity), money(item.price), money(item.price * item.quantity)]
+      : [label, String(item.quantity)]);
+  }
+  doc.font('regular').moveDown();
+};
+
+// Helper: totals block
+const drawTotals = (doc, order) => {
+  const line = (label, value, bold) => {
+    const y = doc.y;
+    doc.font(bold ? 'bold' : 'regular').fontSize(10);
+    doc.text(label, 320, y).text(value, 460, y);
+    doc.moveDown(0.3);
+  };
+  line('Sous-total', money(order.subtotal ?? order.total));
+  if (parseFloat(order.discount) > 0) line(`Remise${order.coupon_code ? ` (${order.coupon_code})` : ''}`, `- ${money(order.discount)}`);
+  line('Livraison', money(order.shipping_fee));
+  line('Total', money(order.total), true);
+  doc.font('regular');
+};
+
+const renderInvoice = (doc, invoice) => {
+  const order = invoice.snapshot;
+  drawHeader(doc, `FACTURE N° ${invoice.number}`, `Date : ${formatDate(invoice.issued_at)} — Commande #${order.id}`);
+  drawCustomer(doc, order);
+  drawItems(doc, order.items, true);
+  drawTotals(doc, order);
+};
+
+const renderSlip = (doc, order) => {
+  drawHeader(doc, 'BON DE LIVRAISON', `Commande #${order.id}${order.tracking_code ? ` — Suivi ${order.tracking_code}` : ''} — ${formatDate(order.created_at)}`);
+  drawCustomer(doc, order);
+  drawItems(doc, order.items, false);
+  doc.fontSize(14).font('bold').text(`Montant à encaisser : ${money(order.total)}`, { align: 'right' });
+  doc.font('regular');
+  if (order.notes) doc.moveDown().fontSize(9).text(`Notes : ${order.notes}`);
+};
+
+// Render pages into one PDF buffer; render(doc, item) draws one item per page
+const buildPdf = (items, render) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  doc.registerFont('regular', FONTS.regular);
+  doc.registerFont('bold', FONTS.bold);
+  doc.font('regular');
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  items.forEach((item, idx) => {
+    if (idx > 0) doc.addPage();
+    render(doc, item);
+  });
+  doc.end();
+});
+
+module.exports = { issueInvoice, renderInvoice, renderSlip, buildPdf };
@@ -0,0 +1,43 @@
+const fs = require('fs');
+
+// Email providers share one method: send({ to, subject, text }) -> Promise.
+// Development stand-ins, as for SMS: "console" prints the email, "file" appends it to EMAIL_LOG_FILE.
+const providers = {
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log(`[Email to ${to}] ${subject}\n${text}`);
+    }
+  },
+  file: {
+    send: async ({ to, subject, text }) => {
+      const line = JSON.stringify({ to, subject, text, sent_at: new Date().toISOString() });
+      await fs.promises.appendFile(process.env.EMAIL_LOG_FILE || 'email.log', `${line}\n`);
+    }
+  }
+};
+
+let current = null;
+
+// Register a real provider (SMTP, API...) or a test double under a name
+const registerEmailProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Provider chosen by EMAIL_PROVIDER (defaults to console)
+const getEmailProvider = () => {
+  if (!current) {
+    const name = process.env.EMAIL_PROVIDER || 'console';
+    if (!providers[name]) throw new Error(`Unknown email provider "${name}"`);
+    current = providers[name];
+  }
+  return current;
+};
+
+// Override the active provider (e.g. in tests)
+const setEmailProvider = (provider) => {
+  current = provider;
+};
+
+const sendEmail = (to, subject, text) => getEmailProvider().send({ to, subject, text });
+
+module.exports = { registerEmailProvider, setEmailProvider, sendEmail };
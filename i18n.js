@@ -0,0 +1,73 @@
+// Translatable text: the base columns (name, description, hero_title...) hold the default language,
+// other languages live in a `translations` JSONB column: { "ar": { "name": "..." }, "en": { ... } }.
+const LOCALES = ['fr', 'ar', 'en'];
+const DEFAULT_LOCALE = 'fr';
+const RTL_LOCALES = ['ar'];
+
+const textDirection = (locale) => (RTL_LOCALES.includes(locale) ? 'rtl' : 'ltr');
+
+// Locale of a request: ?lang first, then Accept-Language, then the default.
+// Sets Content-Language, and Vary so caches keep one copy per language.
+const useLocale = (req, res) => {
+  const lang = String(req.query.lang || '').slice(0, 2).toLowerCase();
+  const locale = LOCALES.includes(lang) ? lang : req.acceptsLanguages(DEFAULT_LOCALE, ...LOCALES) || DEFAULT_LOCALE;
+  res.vary('Accept-Language');
+  res.set('Content-Language', locale);
+  return { locale, dir: textDirection(locale) };
+};
+
+// SQL for a translated column, falling back to the default language.
+// locale must come from LOCALES (it is inlined into the query).
+const translatedSql = (column, locale, alias) => (locale === DEFAULT_LOCALE
+  ? `${alias}.${column}`
+  : `COALESCE(NULLIF(${alias}.translations->'${locale}'->>'${column}', ''), ${alias}.${column})`);
+
+// Same as translatedSql, on a row already read
+const translateRow = (row, fields, locale) => {
+  const { translations, ...rest } = row;
+  if (locale === DEFAULT_LOCALE) return rest;
+  const texts = (translations || {})[locale] || {};
+  return { ...rest, ...Object.fromEntries(fields.filter(field => texts[field]).map(field => [field, texts[field]])) };
+};
+
+// Every language's texts of a row, the default one included (what admin forms edit)
+const allTranslations = (row, fields) => Object.fromEntries(LOCALES.map(locale => [
+  locale,
+  Object.fromEntries(fields.map(field => [
+    field,
+    (locale === DEFAULT_LOCALE ? row[field] : ((row.translations || {})[locale] || {})[field]) ?? null
+  ]))
+]));
+
+// Helper: parse the translations field of an admin form (a JSON string in multipart forms).
+// Returns { base } with the default language's texts (they go in the base columns) and
+// { translations } with the others, or { error }. translations is null when the field was not sent.
+const parseTranslations = (raw, fields) => {
+  if (raw === undefined || raw === null || raw === '') return { base: {}, translations: null };
+  let value;
+  try {
+    value = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (err) {
+    return { error: 'Translations must be a JSON object' };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'Translations must be a JSON object' };
+  let base = {};
+  const translations = {};
+  for (const [locale, texts] of Object.entries(value)) {
+    if (!LOCALES.includes(locale)) return { error: `Language must be one of: ${LOCALES.join(', ')}` };
+    if (!texts || typeof texts !== 'object') return { error: `Translations for ${locale} must be an object` };
+    const clean = {};
+    for (const field of fields) {
+      if (texts[field] === undefined || texts[field] === null) continue;
+      if (typeof texts[field] !== 'string') return { error: `${field} (${locale}) must be text` };
+      if (texts[field].trim()) clean[field] = texts[field].trim();
+    }
+    if (locale === DEFAULT_LOCALE) base = clean;
+    else if (Object.keys(clean).length > 0) translations[locale] = clean;
+  }
+  return { base, translations };
+};
+
+module.exports = {
+  LOCALES, DEFAULT_LOCALE, textDirection, useLocale, translatedSql, translateRow, allTranslations, parseTranslations
+};
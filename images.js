@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Formats we accept, detected from the file content rather than the upload's mimetype
+const ALLOWED_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+
+// Resized renditions stored next to the original
+const SIZES = { thumb: 200, medium: 600 };
+
+// Validate an uploaded image and build its renditions; returns null if the file is not a supported image
+const processImage = async (buffer) => {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (err) {
+    return null;
+  }
+  const mimeType = ALLOWED_FORMATS[meta.format];
+  if (!mimeType) return null;
+
+  const resize = (width) => sharp(buffer).rotate().resize({ width, withoutEnlargement: true }).webp({ quality: 80 }).toBuffer();
+  return {
+    mime_type: mimeType,
+    original: buffer,
+    medium: await resize(SIZES.medium),
+    thumb: await resize(SIZES.thumb),
+    width: meta.width,
+    height: meta.height,
+    etag: crypto.createHash('sha1').update(buffer).digest('hex')
+  };
+};
+
+// Validate a site image (banner, logo) and fit it to maxWidth; returns null if the file is not a supported image
+const processSiteImage = async (buffer, maxWidth) => {
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (err) {
+    return null;
+  }
+  if (!ALLOWED_FORMATS[meta.format]) return null;
+  const { data, info } = await sharp(buffer).rotate().resize({ width: maxWidth, withoutEnlargement: true })
+    .webp({ quality: 85 }).toBuffer({ resolveWithObject: true });
+  return {
+    mime_type: 'image/webp',
+    data,
+    width: info.width,
+    height: info.height,
+    etag: crypto.createHash('sha1').update(data).digest('hex')
+  };
+};
+
+// Store a processed image at the end of a product's gallery; the first image becomes primary
+const insertImage = async (client, productId, image) => {
+  const result = await client.query(
+    `INSERT INTO product_images (product_id, position, is_primary, mime_type, original, medium, thumb, width, height, etag)
+     SELECT $1, COALESCE(MAX(position) + 1, 0), COUNT(*) = 0, $2, $3, $4, $5, $6, $7, $8
+     FROM product_images WHERE product_id=$1
+     RETURNING id, product_id, position, is_primary, mime_type, width, height, created_at`,
+    [productId, image.mime_type, image.original, image.medium, image.thumb, image.width, image.height, image.etag]
+  );
+  return result.rows[0];
+};
+
+// Helper: read a legacy products.image value (data URI or /uploads/ path) into a buffer
+const readLegacyImage = (value) => {
+  const matches = value.match(/^data:(.+);base64,(.+)$/);
+  if (matches) return Buffer.from(matches[2], 'base64');
+  const file = path.join(__dirname, value.replace(/^\/+/, ''));
+  if (value.startsWith('/uploads/') && fs.existsSync(file)) return fs.readFileSync(file);
+  return null;
+};
+
+// One-off: move images stored in products.image into product_images
+const migrateProductImages = async (client) => {
+  const legacy = await client.query('SELECT id, image FROM products WHERE image IS NOT NULL');
+  for (const { id, image } of legacy.rows) {
+    const buffer = readLegacyImage(image);
+    const processed = buffer && await processImage(buffer);
+    if (!processed) {
+      console.warn(`Could not migrate image of product ${id}, keeping it in products.image`);
+      continue;
+    }
+    await insertImage(client, id, processed);
+    await client.query('UPDATE products SET image=NULL WHERE id=$1', [id]);
+  }
+};
+
+module.exports = { SIZES, processImage, processSiteImage, insertImage, migrateProductImages };
@@ -0,0 +1,167 @@
+// Kinds of stock movement recorded in the ledger
+const MOVEMENT_TYPES = ['sale', 'cancellation', 'return', 'adjustment', 'restock', 'damaged', 'expired'];
+
+// Units in lots past their expiry date: still counted in stock until written off, but not sellable
+const expiredLotsSql = (productId, variantId) => `(SELECT COALESCE(SUM(l.quantity), 0) FROM stock_lots l
+  WHERE l.product_id = ${productId} AND l.variant_id IS NOT DISTINCT FROM ${variantId} AND l.expires_at < CURRENT_DATE)`;
+
+// Sellable stock of a product row: products with variants report the total of their active variants
+const productStockSql = (product) => `COALESCE(
+  (SELECT SUM(v.stock - ${expiredLotsSql('v.product_id', 'v.id')}) FROM product_variants v WHERE v.product_id = ${product}.id AND v.is_active),
+  ${product}.stock - ${expiredLotsSql(`${product}.id`, 'NULL')})`;
+
+// True when everything a product has left is expired (such products are hidden from the catalog)
+const onlyExpiredStockSql = (product) => `(${productStockSql(product)} <= 0
+  AND EXISTS (SELECT 1 FROM stock_lots l WHERE l.product_id = ${product}.id AND l.quantity > 0 AND l.expires_at < CURRENT_DATE))`;
+
+// Record one stock change on a product/variant (and on a lot when lotId is set).
+// Returns the stock after the change, or null if the stock or the lot would go negative.
+const applyMovement = async (client, { productId, variantId = null, lotId = null, change, type, reason = null, userId = null, reference = null }) => {
+  if (lotId) {
+    const lot = await client.query(
+      'UPDATE stock_lots SET quantity = quantity + $1 WHERE id=$2 AND product_id=$3 AND variant_id IS NOT DISTINCT FROM $4 AND quantity + $1 >= 0 RETURNING id',
+      [change, lotId, productId, variantId]
+    );
+    if (lot.rows.length === 0) return null;
+  }
+  const result = variantId
+    ? await client.query(
+      'UPDATE product_variants SET stock = stock + $1 WHERE id=$2 AND product_id=$3 AND stock + $1 >= 0 RETURNING stock',
+      [change, variantId, productId]
+    )
+    : await client.query(
+      'UPDATE products SET stock = stock + $1 WHERE id=$2 AND stock + $1 >= 0 RETURNING stock',
+      [change, productId]
+    );
+  if (result.rows.length === 0) return null;
+  const stockAfter = result.rows[0].stock;
+  await client.query(
+    `INSERT INTO stock_movements (product_id, variant_id, lot_id, change, type, reason, user_id, reference, stock_after)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+    [productId, variantId, lotId, change, type, reason, userId, reference, stockAfter]
+  );
+  // Sold out: customers who wishlisted it get texted when it comes back (see wishlist.js)
+  if (change < 0) {
+    await client.query(
+      `UPDATE wishlist_items SET awaiting_stock=true
+       WHERE product_id=$1 AND notify AND NOT awaiting_stock
+         AND (SELECT ${productStockSql('p')} FROM products p WHERE p.id=$1) <= 0`,
+      [productId]
+    );
+  }
+  return stockAfter;
+};
+
+// Take `quantity` units out, earliest-expiring lot first (FEFO), then from stock that isn't in a lot.
+// Expired lots are never used, except by an 'expired' write-off, which takes only from them (then from stock outside lots).
+// Returns { stock, allocations: [{ lot_id, quantity }] } (lot_id null for stock outside lots), or null if there isn't enough.
+const takeStock = async (client, { productId, variantId = null, quantity, ...movement }) => {
+  const current = variantId
+    ? await client.query('SELECT stock FROM product_variants WHERE id=$1 AND product_id=$2 FOR UPDATE', [variantId, productId])
+    : await client.query('SELECT stock FROM products WHERE id=$1 FOR UPDATE', [productId]);
+  if (current.rows.length === 0) return null;
+  const lots = await client.query(
+    `SELECT id, quantity, COALESCE(expires_at < CURRENT_DATE, false) as expired FROM stock_lots
+     WHERE product_id=$1 AND variant_id IS NOT DISTINCT FROM $2 AND quantity > 0
+     ORDER BY expires_at NULLS LAST, received_at, id FOR UPDATE`,
+    [productId, variantId]
+  );
+  const untracked = current.rows[0].stock - lots.rows.reduce((sum, lot) => sum + lot.quantity, 0);
+
+  const allocations = [];
+  let remaining = quantity;
+  const writingOffExpired = movement.type === 'expired';
+  for (const lot of lots.rows.filter(l => l.expired === writingOffExpired)) {
+    if (remaining === 0) break;
+    const take = Math.min(lot.quantity, remaining);
+    allocations.push({ lot_id: lot.id, quantity: take });
+    remaining -= take;
+  }
+  if (remaining > untracked) return null;
+  if (remaining > 0) allocations.push({ lot_id: null, quantity: remaining });
+
+  let stock = current.rows[0].stock;
+  for (const allocation of allocations) {
+    stock = await applyMovement(client, { ...movement, productId, variantId, lotId: allocation.lot_id, change: -allocation.quantity });
+  }
+  return { stock, allocations };
+};
+
+// Change the stock of a product (or one of its variants) and record the movement.
+// Decreases without a lot go through FEFO allocation. Returns the stock after the change, or null if it would go negative.
+const moveStock = async (client, movement) => {
+  if (movement.lotId || movement.change >= 0) return applyMovement(client, movement);
+  const taken = await takeStock(client, { ...movement, quantity: -movement.change });
+  return taken ? taken.stock : null;
+};
+
+// Bring stock to an absolute level (e.g. after a count), recording the difference as one movement.
+// With sellable, `stock` excludes expired lots (as shown on the product form), which are left as they are.
+// Returns the new stock, or null if the product/variant doesn't exist.
+const setStock = async (client, { productId, variantId = null, stock, sellable = false, type = 'adjustment', reason = null, userId = null, reference = null }) => {
+  const current = variantId
+    ? await client.query(`SELECT stock, ${expiredLotsSql('$2::int', 'id')}::int as expired FROM product_variants WHERE id=$1 AND product_id=$2 FOR UPDATE`, [variantId, productId])
+    : await client.query(`SELECT stock, ${expiredLotsSql('id', 'NULL')}::int as expired FROM products WHERE id=$1 FOR UPDATE`, [productId]);
+  if (current.rows.length === 0) return null;
+  const change = stock + (sellable ? current.rows[0].expired : 0) - current.rows[0].stock;
+  if (change === 0) return stock;
+  return moveStock(client, { productId, variantId, change, type, reason, userId, reference });
+};
+
+// Receive units into a lot (created on first receipt; later receipts of the same lot number add to it).
+// With alreadyInStock the units are existing stock being labelled, so the stock total doesn't change.
+// Returns { lot } or { error }.
+const receiveLot = async (client, { productId, variantId = null, lotNumber, expiresAt = null, quantity, unitCost = null, alreadyInStock = false, userId = null, reference = null }) => {
+  const existing = await client.query(
+    `SELECT *, ($4::date IS NOT NULL AND expires_at IS DISTINCT FROM $4::date) as other_expiry FROM stock_lots
+     WHERE product_id=$1 AND COALESCE(variant_id, 0) = COALESCE($2::int, 0) AND lot_number=$3 FOR UPDATE`,
+    [productId, variantId, lotNumber, expiresAt]
+  );
+  if (existing.rows[0] && existing.rows[0].other_expiry) {
+    return { error: `Lot ${lotNumber} already exists with another expiry date` };
+  }
+  const lot = existing.rows[0] || (await client.query(
+    `INSERT INTO stock_lots (product_id, variant_id, lot_number, expires_at, unit_cost, received_by)
+     VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+    [productId, variantId, lotNumber, expiresAt, unitCost, userId]
+  )).rows[0];
+
+  if (alreadyInStock) {
+    const current = variantId
+      ? await client.query('SELECT stock FROM product_variants WHERE id=$1 AND product_id=$2 FOR UPDATE', [variantId, productId])
+      : await client.query('SELECT stock FROM products WHERE id=$1 FOR UPDATE', [productId]);
+    if (current.rows.length === 0) return { error: variantId ? 'Variant not found' : 'Product not found' };
+    const inLots = await client.query(
+      'SELECT COALESCE(SUM(quantity), 0)::int as total FROM stock_lots WHERE product_id=$1 AND variant_id IS NOT DISTINCT FROM $2',
+      [productId, variantId]
+    );
+    if (current.rows[0].stock - inLots.rows[0].total < quantity) return { error: 'Not enough stock outside lots to label' };
+  } else {
+    const stock = await applyMovement(client, { productId, variantId, lotId: lot.id, change: quantity, type: 'restock', reason: `Lot ${lotNumber}`, userId, reference });
+    if (stock === null) return { error: 'Product not found' };
+  }
+  const updated = await client.query(
+    `UPDATE stock_lots SET quantity = quantity + $1, received_quantity = received_quantity + $2,
+       unit_cost = COALESCE($3, unit_cost) WHERE id=$4 RETURNING *`,
+    [alreadyInStock ? quantity : 0, quantity, unitCost, lot.id]
+  );
+  return { lot: updated.rows[0] };
+};
+
+// Sellable stock units (products without variants, and active variants) with their reorder threshold;
+// stock leaves out expired lots, which can't be sold
+const STOCK_LEVELS_SQL = `
+  SELECT p.id as product_id, NULL::int as variant_id, p.name, NULL as variant_label,
+    (p.stock - ${expiredLotsSql('p.id', 'NULL')})::int as stock, p.reorder_threshold
+  FROM products p
+  WHERE p.is_active AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active)
+  UNION ALL
+  SELECT p.id, v.id, p.name, v.label, (v.stock - ${expiredLotsSql('v.product_id', 'v.id')})::int, p.reorder_threshold
+  FROM product_variants v JOIN products p ON p.id = v.product_id
+  WHERE p.is_active AND v.is_active
+`;
+
+module.exports = {
+  MOVEMENT_TYPES, expiredLotsSql, productStockSql, onlyExpiredStockSql,
+  moveStock, takeStock, setStock, receiveLot, STOCK_LEVELS_SQL
+};
@@ -0,0 +1,55 @@
+const { pool } = require('./db');
+
+// Live admin feed: one LISTEN connection per process relays committed outbox events
+// to every open Server-Sent Events stream.
+const subscribers = new Set();
+let listener = null;
+
+const format = (event) => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.payload)}\n\n`;
+
+const broadcast = async (eventId) => {
+  const result = await pool.query('SELECT id, type, payload FROM outbox_events WHERE id=$1', [eventId]);
+  if (result.rows.length === 0) return;
+  const message = format(result.rows[0]);
+  for (const res of subscribers) res.write(message);
+};
+
+const listen = async () => {
+  const client = await pool.connect();
+  client.on('notification', (msg) => {
+    broadcast(msg.payload).catch(err => console.error('Live feed broadcast failed:', err.message));
+  });
+  client.on('error', (err) => {
+    console.error('Live feed connection lost:', err.message);
+    client.release(err);
+    listener = null;
+    // Reconnect while someone is still watching
+    setTimeout(() => { if (subscribers.size > 0) ensureListener().catch(() => {}); }, 5000);
+  });
+  await client.query('LISTEN outbox_events');
+  return client;
+};
+
+const ensureListener = () => {
+  if (!listener) {
+    listener = listen().catch((err) => {
+      listener = null;
+      throw err;
+    });
+  }
+  return listener;
+};
+
+// Attach an SSE response; events after lastEventId (from the Last-Event-ID header) are replayed first.
+// Returns a function that detaches it.
+const subscribe = async (res, lastEventId) => {
+  await ensureListener();
+  if (lastEventId) {
+    const missed = await pool.query('SELECT id, type, payload FROM outbox_events WHERE id > $1 ORDER BY id LIMIT 100', [lastEventId]);
+    for (const event of missed.rows) res.write(format(event));
+  }
+  subscribers.add(res);
+  return () => subscribers.delete(res);
+};
+
+module.exports = { subscribe };
@@ -1,28 +1,71 @@
 const jwt = require('jsonwebtoken');
+const { pool } = require('./db');
+const { OWNER_ROLE } = require('./permissions');
 
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+// Helper: verify the bearer token and re-read the user, so deleted and blocked users, role changes and
+// "log out everywhere" take effect immediately. Returns the user or sends a 401/403.
+const authenticate = async (req, res) => {
+  // EventSource can't set headers, so event streams may pass the access token as ?access_token=
+  const token = req.headers.authorization?.split(' ')[1]
+    || (req.get('accept') === 'text/event-stream' ? req.query.access_token : undefined);
+  if (!token) {
+    res.status(401).json({ error: 'No token provided' });
+    return null;
+  }
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     res.status(401).json({ error: 'Invalid token' });
+    return null;
+  }
+  const result = await pool.query(
+    'SELECT id, role, token_version, must_change_password, blocked_at, deleted_at FROM users WHERE id=$1',
+    [decoded.id]
+  );
+  const user = result.rows[0];
+  if (!user || user.deleted_at || (decoded.ver || 0) !== user.token_version) {
+    res.status(401).json({ error: 'Session expired, please log in again' });
+    return null;
   }
+  if (user.blocked_at) {
+    res.status(403).json({ error: 'Account blocked' });
+    return null;
+  }
+  return { id: user.id, role: user.role, mustChangePassword: user.must_change_password };
 };
 
-const adminAuth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+const auth = async (req, res, next) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') return res.status(403).json({ error: 'Admin access required' });
-    req.user = decoded;
+    const user = await authenticate(req, res);
+    if (!user) return;
+    req.user = user;
     next();
   } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// Staff access: the owner passes every check, other roles need the permission in their role.
+// Accounts with a temporary password get nothing until they change it (PUT /api/auth/password).
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const user = await authenticate(req, res);
+    if (!user) return;
+    if (user.mustChangePassword) return res.status(403).json({ error: 'Password change required' });
+    if (user.role !== OWNER_ROLE) {
+      const role = await pool.query('SELECT permissions FROM roles WHERE name=$1', [user.role]);
+      if (!role.rows[0] || !role.rows[0].permissions.includes(permission)) {
+        return res.status(403).json({ error: `Permission required: ${permission}` });
+      }
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
   }
 };
 
-module.exports = { auth, adminAuth };
+module.exports = { auth, requirePermission };
@@ -0,0 +1,292 @@
+// Baseline schema. Everything is IF NOT EXISTS so databases created before migrations existed
+// (by the old initDB) can run it and simply get marked as migrated.
+const up = (client) => client.query(`
+  CREATE EXTENSION IF NOT EXISTS unaccent;
+
+  -- Immutable accent/tashkeel stripper so it can be used in generated columns and indexes
+  CREATE OR REPLACE FUNCTION f_unaccent(text) RETURNS text AS $$
+    SELECT regexp_replace(public.unaccent('public.unaccent', $1), '[\u064B-\u065F\u0670\u0640]', '', 'g')
+  $$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT;
+
+  CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    address TEXT,
+    role VARCHAR(20) DEFAULT 'customer',
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified BOOLEAN DEFAULT false;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL,
+    user_agent VARCHAR(255),
+    ip VARCHAR(50),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by INTEGER,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS refresh_tokens_user_idx ON refresh_tokens (user_id);
+
+  CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(20),
+    ip VARCHAR(50),
+    success BOOLEAN NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS login_attempts_phone_idx ON login_attempts (phone, created_at);
+  CREATE INDEX IF NOT EXISTS login_attempts_ip_idx ON login_attempts (ip, created_at);
+
+  CREATE TABLE IF NOT EXISTS otp_codes (
+    id SERIAL PRIMARY KEY,
+    phone VARCHAR(20) NOT NULL,
+    purpose VARCHAR(30) NOT NULL,
+    code_hash VARCHAR(64) NOT NULL,
+    payload JSONB DEFAULT '{}',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS otp_codes_phone_idx ON otp_codes (phone, purpose, created_at);
+
+  CREATE TABLE IF NOT EXISTS products (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    brand VARCHAR(100),
+    price DECIMAL(10,2) NOT NULL,
+    stock INTEGER NOT NULL DEFAULT 0,
+    description TEXT,
+    image TEXT DEFAULT NULL,
+    is_promo BOOLEAN DEFAULT false,
+    is_featured BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS sale_price DECIMAL(10,2);
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS discount_percent DECIMAL(5,2);
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS promo_starts_at TIMESTAMP;
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS promo_ends_at TIMESTAMP;
+
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS reorder_threshold INTEGER NOT NULL DEFAULT 5;
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(64) UNIQUE;
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS barcode VARCHAR(64);
+
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', f_unaccent(COALESCE(name, ''))), 'A') ||
+    setweight(to_tsvector('simple', f_unaccent(COALESCE(brand, ''))), 'B') ||
+    setweight(to_tsvector('simple', f_unaccent(COALESCE(description, ''))), 'C')
+  ) STORED;
+  CREATE INDEX IF NOT EXISTS products_search_idx ON products USING GIN (search_vector);
+
+  CREATE TABLE IF NOT EXISTS categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) UNIQUE NOT NULL,
+    parent_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    image TEXT,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS brands (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) UNIQUE NOT NULL,
+    logo TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL;
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS brand_id INTEGER REFERENCES brands(id) ON DELETE SET NULL;
+
+  CREATE TABLE IF NOT EXISTS product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(64) UNIQUE,
+    barcode VARCHAR(64),
+    label VARCHAR(100) NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    stock INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS product_images (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN DEFAULT false,
+    mime_type VARCHAR(50) NOT NULL,
+    original BYTEA NOT NULL,
+    medium BYTEA NOT NULL,
+    thumb BYTEA NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    etag VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS product_images_product_idx ON product_images (product_id, position);
+
+  CREATE TABLE IF NOT EXISTS stock_movements (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+    change INTEGER NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    reason TEXT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reference VARCHAR(100),
+    stock_after INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS stock_movements_product_idx ON stock_movements (product_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS orders (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    items JSONB NOT NULL,
+    total DECIMAL(10,2) NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending',
+    address TEXT,
+    phone VARCHAR(20),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS shipping_rates (
+    id SERIAL PRIMARY KEY,
+    wilaya_code INTEGER NOT NULL,
+    wilaya_name VARCHAR(100) NOT NULL,
+    commune VARCHAR(100),
+    home_price DECIMAL(10,2) NOT NULL,
+    desk_price DECIMAL(10,2),
+    free_threshold DECIMAL(10,2),
+    is_served BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS shipping_rates_zone_idx ON shipping_rates (wilaya_code, LOWER(COALESCE(commune, '')));
+
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS wilaya_code INTEGER;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS wilaya VARCHAR(100);
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS commune VARCHAR(100);
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_mode VARCHAR(20) DEFAULT 'home';
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10,2);
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipping_fee DECIMAL(10,2) DEFAULT 0;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS guest_name VARCHAR(100);
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS tracking_code VARCHAR(12) UNIQUE;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount DECIMAL(10,2) DEFAULT 0;
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS coupon_code VARCHAR(50);
+
+  CREATE TABLE IF NOT EXISTS coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    value DECIMAL(10,2) NOT NULL,
+    min_cart DECIMAL(10,2),
+    max_uses INTEGER,
+    max_uses_per_customer INTEGER,
+    used_count INTEGER NOT NULL DEFAULT 0,
+    categories TEXT[] DEFAULT '{}',
+    brands TEXT[] DEFAULT '{}',
+    starts_at TIMESTAMP,
+    ends_at TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS coupons_code_idx ON coupons (UPPER(code));
+
+  CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER REFERENCES coupons(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    phone VARCHAR(20),
+    discount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS invoice_counters (
+    year INTEGER PRIMARY KEY,
+    last_number INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER UNIQUE REFERENCES orders(id) ON DELETE SET NULL,
+    number VARCHAR(20) UNIQUE NOT NULL,
+    snapshot JSONB NOT NULL,
+    issued_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    entity VARCHAR(50) NOT NULL,
+    entity_id VARCHAR(50),
+    before JSONB,
+    after JSONB,
+    ip VARCHAR(50),
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity, entity_id);
+
+  CREATE TABLE IF NOT EXISTS site_visits (
+    id SERIAL PRIMARY KEY,
+    visited_at TIMESTAMP DEFAULT NOW(),
+    ip VARCHAR(50)
+  );
+
+  CREATE TABLE IF NOT EXISTS site_settings (
+    id SERIAL PRIMARY KEY,
+    primary_color VARCHAR(20) DEFAULT '#2d6a4f',
+    secondary_color VARCHAR(20) DEFAULT '#40916c',
+    accent_color VARCHAR(20) DEFAULT '#95d5b2',
+    bg_color VARCHAR(20) DEFAULT '#f0fdf4',
+    text_color VARCHAR(20) DEFAULT '#1b4332',
+    font_family VARCHAR(100) DEFAULT 'Poppins',
+    hero_title VARCHAR(255) DEFAULT 'Parapharmacie Shifa',
+    hero_subtitle TEXT DEFAULT 'Votre santé, notre priorité',
+    banner_image TEXT,
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+`);
+
+const down = (client) => client.query(`
+  DROP TABLE IF EXISTS site_settings, site_visits, audit_log, roles, invoices, invoice_counters,
+    order_status_history, coupon_redemptions, coupons, shipping_rates, orders, stock_movements,
+    product_images, product_variants, brands, categories, products, otp_codes, login_attempts,
+    refresh_tokens, users CASCADE;
+  DROP FUNCTION IF EXISTS f_unaccent(text);
+`);
+
+module.exports = { up, down };
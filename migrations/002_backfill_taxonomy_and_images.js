@@ -0,0 +1,13 @@
+const { migrateTaxonomy } = require('../taxonomy');
+const { migrateProductImages } = require('../images');
+
+// Move free-text categories/brands into the taxonomy tables and images out of products.image
+const up = async (client) => {
+  await migrateTaxonomy(client);
+  await migrateProductImages(client);
+};
+
+// Data only: the copied rows stay where they are
+const down = async () => {};
+
+module.exports = { up, down };
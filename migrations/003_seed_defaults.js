@@ -0,0 +1,19 @@
+const { DEFAULT_ROLES } = require('../permissions');
+
+// Starter staff roles and the site settings row
+const up = async (client) => {
+  for (const [name, permissions] of Object.entries(DEFAULT_ROLES)) {
+    await client.query('INSERT INTO roles (name, permissions) VALUES ($1,$2) ON CONFLICT (name) DO NOTHING', [name, permissions]);
+  }
+  const settings = await client.query('SELECT id FROM site_settings LIMIT 1');
+  if (settings.rows.length === 0) await client.query('INSERT INTO site_settings DEFAULT VALUES');
+};
+
+const down = async (client) => {
+  await client.query(
+    'DELETE FROM roles WHERE name = ANY($1) AND NOT EXISTS (SELECT 1 FROM users WHERE users.role = roles.name)',
+    [Object.keys(DEFAULT_ROLES)]
+  );
+};
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+const bcrypt = require('bcryptjs');
+
+// Accounts flagged here must set a new password before using the admin routes.
+// Owners still on the password the old initDB seeded (admin123) get flagged straight away.
+const up = async (client) => {
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false');
+  const owners = await client.query("SELECT id, password FROM users WHERE role='admin'");
+  for (const owner of owners.rows) {
+    if (await bcrypt.compare('admin123', owner.password)) {
+      await client.query('UPDATE users SET must_change_password=true, token_version=token_version+1 WHERE id=$1', [owner.id]);
+    }
+  }
+};
+
+const down = (client) => client.query('ALTER TABLE users DROP COLUMN IF EXISTS must_change_password');
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Richer visit tracking for analytics. Raw IPs are no longer kept: visits store a keyed hash
+// instead (see analytics.js), and the existing raw addresses are dropped with the column.
+const up = (client) => client.query(`
+  ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS path VARCHAR(500);
+  ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS referrer VARCHAR(500);
+  ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS session_id VARCHAR(64);
+  ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS device_type VARCHAR(20);
+  ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS ip_hash VARCHAR(64);
+  ALTER TABLE site_visits DROP COLUMN IF EXISTS ip;
+  CREATE INDEX IF NOT EXISTS site_visits_visited_idx ON site_visits (visited_at);
+
+  ALTER TABLE orders ADD COLUMN IF NOT EXISTS session_id VARCHAR(64);
+  CREATE INDEX IF NOT EXISTS orders_created_idx ON orders (created_at);
+`);
+
+const down = (client) => client.query(`
+  DROP INDEX IF EXISTS orders_created_idx;
+  ALTER TABLE orders DROP COLUMN IF EXISTS session_id;
+  DROP INDEX IF EXISTS site_visits_visited_idx;
+  ALTER TABLE site_visits ADD COLUMN IF NOT EXISTS ip VARCHAR(50);
+  ALTER TABLE site_visits DROP COLUMN IF EXISTS path, DROP COLUMN IF EXISTS referrer,
+    DROP COLUMN IF EXISTS session_id, DROP COLUMN IF EXISTS device_type, DROP COLUMN IF EXISTS ip_hash;
+`);
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Product reviews; only approved ones are public and count towards a product's rating
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+      rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      body TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      reply TEXT,
+      replied_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      replied_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE (product_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS reviews_product_idx ON reviews (product_id, status);
+    CREATE INDEX IF NOT EXISTS reviews_status_idx ON reviews (status, created_at);
+  `);
+  // Roles seeded before reviews existed: catalog editors moderate them
+  await client.query(`
+    UPDATE roles SET permissions = array_append(permissions, 'reviews:moderate')
+    WHERE name='catalog_editor' AND NOT ('reviews:moderate' = ANY(permissions))
+  `);
+};
+
+const down = async (client) => {
+  await client.query("UPDATE roles SET permissions = array_remove(permissions, 'reviews:moderate')");
+  await client.query('DROP TABLE IF EXISTS reviews');
+};
+
+module.exports = { up, down };
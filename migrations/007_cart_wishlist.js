@@ -0,0 +1,29 @@
+// Server-side carts and wishlists for signed-in customers
+const up = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS cart_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    price_seen DECIMAL(10,2),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS cart_items_line_idx ON cart_items (user_id, product_id, COALESCE(variant_id, 0));
+
+  CREATE TABLE IF NOT EXISTS wishlist_items (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    notify BOOLEAN NOT NULL DEFAULT true,
+    awaiting_stock BOOLEAN NOT NULL DEFAULT false,
+    notified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, product_id)
+  );
+  CREATE INDEX IF NOT EXISTS wishlist_items_awaiting_idx ON wishlist_items (product_id) WHERE awaiting_stock;
+`);
+
+const down = (client) => client.query('DROP TABLE IF EXISTS wishlist_items, cart_items');
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// Stock received in lots with expiry dates. products.stock / product_variants.stock stay the totals;
+// the part not covered by lots is stock received before lots were tracked.
+const up = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS stock_lots (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    lot_number VARCHAR(64) NOT NULL,
+    expires_at DATE,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    received_quantity INTEGER NOT NULL DEFAULT 0,
+    unit_cost DECIMAL(10,2),
+    received_at TIMESTAMP DEFAULT NOW(),
+    received_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS stock_lots_number_idx ON stock_lots (product_id, COALESCE(variant_id, 0), lot_number);
+  CREATE INDEX IF NOT EXISTS stock_lots_expiry_idx ON stock_lots (expires_at) WHERE quantity > 0;
+
+  ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS lot_id INTEGER REFERENCES stock_lots(id) ON DELETE SET NULL;
+
+  -- Which lots went into each order, for recalls
+  CREATE TABLE IF NOT EXISTS order_lot_allocations (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    lot_id INTEGER NOT NULL REFERENCES stock_lots(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL,
+    variant_id INTEGER,
+    quantity INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS order_lot_allocations_order_idx ON order_lot_allocations (order_id);
+  CREATE INDEX IF NOT EXISTS order_lot_allocations_lot_idx ON order_lot_allocations (lot_id);
+`);
+
+const down = (client) => client.query(`
+  DROP TABLE IF EXISTS order_lot_allocations;
+  ALTER TABLE stock_movements DROP COLUMN IF EXISTS lot_id;
+  DROP TABLE IF EXISTS stock_lots;
+`);
+
+module.exports = { up, down };
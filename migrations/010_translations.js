@@ -0,0 +1,30 @@
+// Translations of products, categories and site texts; search also matches translated names and descriptions
+const SEARCH_VECTOR = `
+  setweight(to_tsvector('simple', f_unaccent(COALESCE(name, ''))), 'A') ||
+  setweight(to_tsvector('simple', f_unaccent(COALESCE(brand, ''))), 'B') ||
+  setweight(to_tsvector('simple', f_unaccent(COALESCE(description, ''))), 'C')`;
+
+const up = (client) => client.query(`
+  ALTER TABLE products ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}';
+  ALTER TABLE categories ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}';
+  ALTER TABLE site_settings ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}';
+
+  ALTER TABLE products DROP COLUMN search_vector;
+  ALTER TABLE products ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (${SEARCH_VECTOR} ||
+    setweight(to_tsvector('simple', f_unaccent(jsonb_path_query_array(translations, '$.*.name')::text)), 'A') ||
+    setweight(to_tsvector('simple', f_unaccent(jsonb_path_query_array(translations, '$.*.description')::text)), 'C')
+  ) STORED;
+  CREATE INDEX IF NOT EXISTS products_search_idx ON products USING GIN (search_vector);
+`);
+
+const down = (client) => client.query(`
+  ALTER TABLE products DROP COLUMN search_vector;
+  ALTER TABLE products ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (${SEARCH_VECTOR}) STORED;
+  CREATE INDEX IF NOT EXISTS products_search_idx ON products USING GIN (search_vector);
+
+  ALTER TABLE site_settings DROP COLUMN IF EXISTS translations;
+  ALTER TABLE categories DROP COLUMN IF EXISTS translations;
+  ALTER TABLE products DROP COLUMN IF EXISTS translations;
+`);
+
+module.exports = { up, down };
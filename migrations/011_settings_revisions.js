@@ -0,0 +1,56 @@
+// Theme settings revisions (drafts, scheduled and published themes) and uploaded banner/logo images.
+// site_settings stays the live copy of the published revision.
+const up = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS site_images (
+    id SERIAL PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL,
+    mime_type VARCHAR(50) NOT NULL,
+    data BYTEA NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    etag VARCHAR(64) NOT NULL,
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  );
+
+  CREATE TABLE IF NOT EXISTS settings_revisions (
+    id SERIAL PRIMARY KEY,
+    theme JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    note TEXT,
+    preview_token VARCHAR(64) UNIQUE NOT NULL,
+    publish_at TIMESTAMP,
+    revert_at TIMESTAMP,
+    reverts_to INTEGER REFERENCES settings_revisions(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    published_at TIMESTAMP,
+    published_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS settings_revisions_published_idx ON settings_revisions ((true)) WHERE status = 'published';
+  CREATE INDEX IF NOT EXISTS settings_revisions_scheduled_idx ON settings_revisions (publish_at) WHERE status = 'scheduled';
+
+  ALTER TABLE site_settings ADD COLUMN IF NOT EXISTS logo_image TEXT;
+  ALTER TABLE site_settings ADD COLUMN IF NOT EXISTS revision_id INTEGER REFERENCES settings_revisions(id) ON DELETE SET NULL;
+
+  -- The current settings become the first published revision
+  INSERT INTO settings_revisions (theme, status, note, preview_token, published_at)
+  SELECT jsonb_build_object(
+      'primary_color', primary_color, 'secondary_color', secondary_color, 'accent_color', accent_color,
+      'bg_color', bg_color, 'text_color', text_color, 'font_family', font_family,
+      'hero_title', hero_title, 'hero_subtitle', hero_subtitle, 'translations', translations,
+      'banner_image', banner_image, 'banner_image_id', NULL, 'logo_image_id', NULL
+    ), 'published', 'Settings before revisions', md5(random()::text) || md5(random()::text), NOW()
+  FROM site_settings WHERE id=1 AND revision_id IS NULL;
+  UPDATE site_settings SET revision_id = (SELECT id FROM settings_revisions WHERE status='published')
+  WHERE id=1 AND revision_id IS NULL;
+`);
+
+const down = (client) => client.query(`
+  ALTER TABLE site_settings DROP COLUMN IF EXISTS revision_id;
+  ALTER TABLE site_settings DROP COLUMN IF EXISTS logo_image;
+  DROP TABLE IF EXISTS settings_revisions, site_images;
+`);
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+// Customer blocking and soft delete, and several saved delivery addresses per customer.
+// Orders no longer cascade with their user, so removing an account can't erase sales history.
+const up = (client) => client.query(`
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS blocked_at TIMESTAMP;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS blocked_reason TEXT;
+  ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+  ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_id_fkey;
+  ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL;
+  CREATE INDEX IF NOT EXISTS orders_user_idx ON orders (user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50),
+    recipient_name VARCHAR(100),
+    phone VARCHAR(20),
+    address TEXT NOT NULL,
+    wilaya_code INTEGER,
+    commune VARCHAR(100),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+  );
+  CREATE INDEX IF NOT EXISTS addresses_user_idx ON addresses (user_id);
+  CREATE UNIQUE INDEX IF NOT EXISTS addresses_default_idx ON addresses (user_id) WHERE is_default;
+
+  -- The old single address becomes each customer's default address
+  INSERT INTO addresses (user_id, label, address, is_default)
+  SELECT u.id, 'Adresse', u.address, true FROM users u
+  WHERE COALESCE(TRIM(u.address), '') <> '' AND NOT EXISTS (SELECT 1 FROM addresses a WHERE a.user_id = u.id);
+`);
+
+const down = (client) => client.query(`
+  DROP TABLE IF EXISTS addresses;
+  DROP INDEX IF EXISTS orders_user_idx;
+  ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_id_fkey;
+  ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+  ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
+  ALTER TABLE users DROP COLUMN IF EXISTS blocked_reason;
+  ALTER TABLE users DROP COLUMN IF EXISTS blocked_at;
+`);
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// Theme schedule times become TIMESTAMPTZ: dates sent with a UTC offset were stored with the offset dropped.
+// Existing values are read in the server's time zone, as NOW() compared them before.
+const up = (client) => client.query(`
+  ALTER TABLE settings_revisions ALTER COLUMN publish_at TYPE TIMESTAMPTZ;
+  ALTER TABLE settings_revisions ALTER COLUMN revert_at TYPE TIMESTAMPTZ;
+`);
+
+const down = (client) => client.query(`
+  ALTER TABLE settings_revisions ALTER COLUMN revert_at TYPE TIMESTAMP;
+  ALTER TABLE settings_revisions ALTER COLUMN publish_at TYPE TIMESTAMP;
+`);
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+const { phoneSql } = require('../phones');
+
+// Store account phone numbers normalised (see phones.js). A number that would collide with
+// another account once normalised is left as it is, for an admin to sort out.
+const up = (client) => client.query(`
+  UPDATE users u SET phone = ${phoneSql('u.phone')}
+  WHERE u.phone <> ${phoneSql('u.phone')}
+    AND NOT EXISTS (SELECT 1 FROM users o WHERE o.id <> u.id AND ${phoneSql('o.phone')} = ${phoneSql('u.phone')})
+`);
+
+// Data only: the original formatting isn't kept
+const down = async () => {};
+
+module.exports = { up, down };
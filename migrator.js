@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Migrations live in migrations/NNN_name.js and export up(client) and down(client).
+// Each one runs in its own transaction and is recorded in schema_migrations with a checksum,
+// so editing a migration after it was applied is caught instead of silently ignored.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_ID = 726354; // pg advisory lock so two deploys don't migrate at the same time
+
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+  .sort()
+  .map(file => {
+    const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file));
+    return {
+      version: file.split('_')[0],
+      name: file.replace(/\.js$/, ''),
+      checksum: crypto.createHash('sha256').update(source).digest('hex'),
+      file: path.join(MIGRATIONS_DIR, file)
+    };
+  });
+
+const ensureTable = (db) => db.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP DEFAULT NOW()
+  )
+`);
+
+// Compare migration files with what the database has applied
+const migrationStatus = async (db) => {
+  await ensureTable(db);
+  const applied = await db.query('SELECT * FROM schema_migrations ORDER BY version');
+  const files = loadMigrations();
+  const byVersion = new Map(files.map(m => [m.version, m]));
+  const appliedVersions = new Set(applied.rows.map(row => row.version));
+  const problems = [];
+  for (const row of applied.rows) {
+    const file = byVersion.get(row.version);
+    if (!file) problems.push(`${row.name} was applied but its file is missing`);
+    else if (file.checksum !== row.checksum) problems.push(`${row.name} was changed after it was applied`);
+  }
+  return {
+    applied: applied.rows,
+    pending: files.filter(m => !appliedVersions.has(m.version)),
+    problems
+  };
+};
+
+// Run fn with the migration lock held on a dedicated connection
+const withLock = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+const runInTransaction = async (client, fn) => {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+};
+
+// Apply every pending migration in order; stops at the first failure
+const migrateUp = (pool, log = console.log) => withLock(pool, async (client) => {
+  const { pending, problems } = await migrationStatus(client);
+  if (problems.length > 0) throw new Error(`Migrations are broken:\n  ${problems.join('\n  ')}`);
+  for (const migration of pending) {
+    log(`Applying ${migration.name}`);
+    await runInTransaction(client, async () => {
+      await require(migration.file).up(client);
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    });
+  }
+  return pending;
+});
+
+// Revert the last `steps` applied migrations, newest first
+const migrateDown = (pool, steps = 1, log = console.log) => withLock(pool, async (client) => {
+  const { applied, problems } = await migrationStatus(client);
+  if (problems.length > 0) throw new Error(`Migrations are broken:\n  ${problems.join('\n  ')}`);
+  const files = new Map(loadMigrations().map(m => [m.version, m]));
+  const reverted = applied.slice(-steps).reverse();
+  for (const row of reverted) {
+    log(`Reverting ${row.name}`);
+    await runInTransaction(client, async () => {
+      await require(files.get(row.version).file).down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version=$1', [row.version]);
+    });
+  }
+  return reverted;
+});
+
+// Used at startup: refuse to run against a database that is behind or out of sync
+const assertMigrated = async (db) => {
+  const { pending, problems } = await migrationStatus(db);
+  if (problems.length > 0) throw new Error(`Migrations are broken:\n  ${problems.join('\n  ')}`);
+  if (pending.length > 0) {
+    throw new Error(`Pending migrations: ${pending.map(m => m.name).join(', ')}. Run \`npm run migrate\` first.`);
+  }
+};
+
+module.exports = { migrationStatus, migrateUp, migrateDown, assertMigrated };
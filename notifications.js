@@ -0,0 +1,53 @@
+const { sendSms } = require('./sms');
+const { sendEmail } = require('./email');
+
+// Notifiers receive every outbox event once it is dispatched: notifier(event) -> Promise.
+// They are best effort (no retries); webhooks are the reliable channel.
+const notifiers = [];
+
+const registerNotifier = (notifier) => {
+  notifiers.push(notifier);
+};
+
+const notify = async (event) => {
+  for (const notifier of notifiers) {
+    try {
+      await notifier(event);
+    } catch (err) {
+      console.error(`Notification for event ${event.id} failed:`, err.message);
+    }
+  }
+};
+
+const STATUS_LABELS = {
+  confirmed: 'confirmée',
+  shipped: 'expédiée',
+  delivered: 'livrée',
+  cancelled: 'annulée',
+  returned: 'retournée'
+};
+
+// Customer: SMS confirmation and status updates
+registerNotifier(async ({ type, payload }) => {
+  if (!payload.phone) return;
+  if (type === 'order.created') {
+    await sendSms(payload.phone,
+      `Parapharmacie Shifa : commande ${payload.tracking_code} reçue (${payload.total} DA). Nous vous appellerons pour la confirmer.`);
+  } else if (type === 'order.status_changed' && STATUS_LABELS[payload.status]) {
+    await sendSms(payload.phone, `Parapharmacie Shifa : votre commande ${payload.tracking_code} est ${STATUS_LABELS[payload.status]}.`);
+  }
+});
+
+// Shop: email for every new order, when SHOP_NOTIFY_EMAIL is set
+registerNotifier(async ({ type, payload }) => {
+  if (type !== 'order.created' || !process.env.SHOP_NOTIFY_EMAIL) return;
+  const lines = payload.items.map(item => `- ${item.quantity} x ${item.name}${item.variant_label ? ` (${item.variant_label})` : ''}`);
+  await sendEmail(process.env.SHOP_NOTIFY_EMAIL, `Nouvelle commande #${payload.order_id} (${payload.total} DA)`, [
+    `Client : ${payload.customer || '-'} (${payload.phone})`,
+    `Livraison : ${payload.wilaya || ''} ${payload.commune || ''} (${payload.delivery_mode})`,
+    '',
+    ...lines
+  ].join('\n'));
+});
+
+module.exports = { registerNotifier, notify };
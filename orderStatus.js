@@ -0,0 +1,24 @@
+// Order lifecycle: which status may follow which
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses whose order total counts as revenue
+const REVENUE_STATUSES = ['confirmed', 'shipped', 'delivered'];
+
+// Statuses that put the order's items back on the shelf
+const RESTOCK_STATUSES = ['cancelled', 'returned'];
+
+// Statuses in which the order still holds stock (restored if the order is deleted)
+const STOCK_HOLDING_STATUSES = ['pending', 'confirmed', 'shipped'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+module.exports = { TRANSITIONS, STATUSES, REVENUE_STATUSES, RESTOCK_STATUSES, STOCK_HOLDING_STATUSES, canTransition };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { sendSms } = require('./sms');
+
+const OTP_TTL_MINUTES = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_PER_HOUR = 5;
+
+const MESSAGES = {
+  verify_phone: (code) => `Parapharmacie Shifa : votre code de vérification est ${code}`,
+  reset_password: (code) => `Parapharmacie Shifa : code de réinitialisation du mot de passe ${code}`,
+  change_phone: (code) => `Parapharmacie Shifa : code de confirmation du nouveau numéro ${code}`
+};
+
+// Codes are stored as a keyed hash, never in clear
+const hashCode = (phone, purpose, code) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${phone}:${purpose}:${code}`).digest('hex');
+
+// Issue a code and text it; payload travels with the code (e.g. the user asking for a phone change).
+// Returns { error, retryAfter } when the phone asked too often, { error, unavailable } when the SMS could not be sent.
+const sendOtp = async (phone, purpose, payload = {}, db = pool) => {
+  const recent = await db.query(
+    `SELECT COUNT(*) as last_hour,
+       EXTRACT(EPOCH FROM (NOW() - MAX(created_at))) as since_last
+     FROM otp_codes WHERE phone=$1 AND purpose=$2 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [phone, purpose]
+  );
+  const { last_hour: lastHour, since_last: sinceLast } = recent.rows[0];
+  if (sinceLast !== null && parseFloat(sinceLast) < OTP_RESEND_SECONDS) {
+    return { error: 'Please wait before requesting a new code', retryAfter: Math.ceil(OTP_RESEND_SECONDS - parseFloat(sinceLast)) };
+  }
+  if (parseInt(lastHour) >= OTP_MAX_PER_HOUR) return { error: 'Too many codes requested, try again later', retryAfter: 3600 };
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  // A new code replaces any pending one
+  await db.query('UPDATE otp_codes SET consumed_at=NOW() WHERE phone=$1 AND purpose=$2 AND consumed_at IS NULL', [phone, purpose]);
+  const inserted = await db.query(
+    `INSERT INTO otp_codes (phone, purpose, code_hash, payload, expires_at)
+     VALUES ($1,$2,$3,$4, NOW() + INTERVAL '${OTP_TTL_MINUTES} minutes') RETURNING id`,
+    [phone, purpose, hashCode(phone, purpose, code), JSON.stringify(payload)]
+  );
+  try {
+    await sendSms(phone, MESSAGES[purpose](code));
+  } catch (err) {
+    console.error(`OTP SMS to ${phone} failed:`, err.message);
+    // An undelivered code must not count against the resend limits
+    await db.query('DELETE FROM otp_codes WHERE id=$1', [inserted.rows[0].id]);
+    return { error: 'Could not send the SMS, please try again later', unavailable: true };
+  }
+  return {};
+};
+
+// Check a code; a correct code is consumed. Returns { payload } or { error }.
+const verifyOtp = async (phone, purpose, code) => {
+  const result = await pool.query(
+    `SELECT * FROM otp_codes WHERE phone=$1 AND purpose=$2 AND consumed_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC LIMIT 1`,
+    [phone, purpose]
+  );
+  const otp = result.rows[0];
+  if (!otp) return { error: 'Code expired, please request a new one' };
+  // Claim the attempt before comparing, so parallel guesses can't all get past the limit
+  const claimed = await pool.query(
+    'UPDATE otp_codes SET attempts = attempts + 1 WHERE id=$1 AND attempts < $2 AND consumed_at IS NULL RETURNING id',
+    [otp.id, OTP_MAX_ATTEMPTS]
+  );
+  if (claimed.rows.length === 0) return { error: 'Too many attempts, please request a new code' };
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const given = Buffer.from(hashCode(phone, purpose, String(code || '')), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) return { error: 'Invalid code' };
+  // Only one request can consume the code
+  const consumed = await pool.query('UPDATE otp_codes SET consumed_at=NOW() WHERE id=$1 AND consumed_at IS NULL RETURNING id', [otp.id]);
+  if (consumed.rows.length === 0) return { error: 'Code already used' };
+  return { payload: otp.payload };
+};
+
+module.exports = { sendOtp, verifyOtp };
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { pool, withTransaction } = require('./db');
+const { notify } = require('./notifications');
+const { requestPublic } = require('./remote');
+
+const EVENT_TYPES = ['order.created', 'order.status_changed'];
+
+const MAX_ATTEMPTS = 8;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Receivers' answers are not used; only this much of them is read
+const WEBHOOK_RESPONSE_MAX_BYTES = 64 * 1024;
+
+// Record an event inside the caller's transaction; it is dispatched only if that transaction commits.
+// The NOTIFY is also delivered on commit and wakes the live admin feed (see live.js).
+const recordEvent = async (client, type, payload) => {
+  const result = await client.query('INSERT INTO outbox_events (type, payload) VALUES ($1,$2) RETURNING id', [type, JSON.stringify(payload)]);
+  await client.query("SELECT pg_notify('outbox_events', $1)", [String(result.rows[0].id)]);
+  return result.rows[0].id;
+};
+
+// Signature over "<timestamp>.<body>" so receivers can check origin and reject replays
+const signPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Retry delay after a failed attempt: 30s, 1m, 2m... capped at 6 hours
+const backoffSeconds = (attempts) => Math.min(30 * 2 ** (attempts - 1), 6 * 60 * 60);
+
+// Fan new events out: queue a delivery per subscribed webhook, then run the notifiers
+const dispatchEvents = async () => {
+  const events = await withTransaction(async (client) => {
+    const pending = await client.query(
+      'SELECT * FROM outbox_events WHERE dispatched_at IS NULL ORDER BY id LIMIT 100 FOR UPDATE SKIP LOCKED'
+    );
+    for (const event of pending.rows) {
+      await client.query(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id)
+         SELECT id, $1 FROM webhooks WHERE is_active AND (events = '{}' OR $2 = ANY(events))
+         ON CONFLICT DO NOTHING`,
+        [event.id, event.type]
+      );
+    }
+    await client.query('UPDATE outbox_events SET dispatched_at=NOW() WHERE id = ANY($1)', [pending.rows.map(e => e.id)]);
+    return pending.rows;
+  });
+  for (const event of events) await notify(event);
+  return events.length;
+};
+
+const deliver = async (delivery) => {
+  const body = JSON.stringify({ id: delivery.event_id, type: delivery.type, created_at: delivery.event_created_at, data: delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  // The host is checked again when each delivery connects: its DNS may have changed since the webhook was saved
+  const response = await requestPublic(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': delivery.type,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, timestamp, body)}`
+    },
+    body,
+    timeoutMs: WEBHOOK_TIMEOUT_MS,
+    maxBytes: WEBHOOK_RESPONSE_MAX_BYTES
+  });
+  return response.status;
+};
+
+// Send due webhook deliveries. Claimed rows are leased for 5 minutes so another instance won't send them too.
+const deliverWebhooks = async () => {
+  const claimed = await pool.query(`
+    UPDATE webhook_deliveries SET attempts = attempts + 1, next_attempt_at = NOW() + INTERVAL '5 minutes'
+    WHERE id IN (
+      SELECT d.id FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status='pending' AND d.next_attempt_at <= NOW() AND w.is_active
+      ORDER BY d.next_attempt_at LIMIT 20 FOR UPDATE OF d SKIP LOCKED
+    )
+    RETURNING id
+  `);
+  if (claimed.rows.length === 0) return 0;
+  const due = await pool.query(`
+    SELECT d.id, d.attempts, d.event_id, w.url, w.secret, e.type, e.payload, e.created_at as event_created_at
+    FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id JOIN outbox_events e ON e.id = d.event_id
+    WHERE d.id = ANY($1)
+  `, [claimed.rows.map(row => row.id)]);
+
+  for (const delivery of due.rows) {
+    let status = null;
+    let error = null;
+    try {
+      status = await deliver(delivery);
+      if (status < 200 || status >= 300) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.message;
+    }
+    if (!error) {
+      await pool.query(
+        "UPDATE webhook_deliveries SET status='delivered', response_status=$1, last_error=NULL, delivered_at=NOW() WHERE id=$2",
+        [status, delivery.id]
+      );
+    } else {
+      await pool.query(
+        `UPDATE webhook_deliveries SET status=$1, response_status=$2, last_error=$3,
+           next_attempt_at = NOW() + make_interval(secs => $4)
+         WHERE id=$5`,
+        [delivery.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending', status, error, backoffSeconds(delivery.attempts), delivery.id]
+      );
+    }
+  }
+  return due.rows.length;
+};
+
+// Background loop for the server process; a run is skipped while the previous one is still busy
+const startDispatcher = (intervalMs = 5000) => {
+  let busy = false;
+  return setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      await dispatchEvents();
+      await deliverWebhooks();
+    } catch (err) {
+      console.error('Outbox dispatcher failed:', err);
+    } finally {
+      busy = false;
+    }
+  }, intervalMs);
+};
+
+module.exports = { EVENT_TYPES, recordEvent, signPayload, dispatchEvents, deliverWebhooks, startDispatcher };
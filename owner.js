@@ -0,0 +1,35 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { OWNER_ROLE } = require('./permissions');
+const { normalizePhone } = require('./phones');
+
+// Create an owner account; the password is temporary and must be changed on first use
+const createOwner = async (db, { username, phone, password }) => {
+  if (!normalizePhone(phone)) throw new Error(`Invalid phone number: ${phone}`);
+  const hash = await bcrypt.hash(password, 10);
+  const result = await db.query(
+    `INSERT INTO users (username, phone, password, role, phone_verified, must_change_password)
+     VALUES ($1,$2,$3,$4,true,true) RETURNING id, username, phone, role`,
+    [username, normalizePhone(phone), hash, OWNER_ROLE]
+  );
+  return result.rows[0];
+};
+
+const temporaryPassword = () => crypto.randomBytes(9).toString('base64url');
+
+// First run only: create the owner from ADMIN_PHONE / ADMIN_PASSWORD (ADMIN_USERNAME optional).
+// Does nothing once an owner exists, so the variables can be removed after the first deploy.
+const bootstrapOwner = async (db) => {
+  const existing = await db.query('SELECT 1 FROM users WHERE role=$1 LIMIT 1', [OWNER_ROLE]);
+  if (existing.rows.length > 0) return null;
+  const { ADMIN_PHONE, ADMIN_PASSWORD, ADMIN_USERNAME } = process.env;
+  if (!ADMIN_PHONE || !ADMIN_PASSWORD) {
+    console.warn('No owner account exists. Set ADMIN_PHONE and ADMIN_PASSWORD or run `npm run create-admin`.');
+    return null;
+  }
+  const owner = await createOwner(db, { username: ADMIN_USERNAME || 'Admin', phone: ADMIN_PHONE, password: ADMIN_PASSWORD });
+  console.log(`Created owner account ${owner.phone}; the password must be changed at first login`);
+  return owner;
+};
+
+module.exports = { createOwner, temporaryPassword, bootstrapOwner };
@@ -0,0 +1,33 @@
+// Everything a staff role can be granted
+const PERMISSIONS = [
+  'orders:read',
+  'orders:update-status',
+  'orders:delete',
+  'products:read',
+  'products:write',
+  'inventory:read',
+  'inventory:write',
+  'promotions:write',
+  'reviews:moderate',
+  'shipping:write',
+  'users:manage',
+  'staff:manage',
+  'settings:write',
+  'stats:read',
+  'audit:read'
+];
+
+// Only the owner can grant these: they would let staff widen their own access or hide their tracks
+const OWNER_ONLY_PERMISSIONS = ['staff:manage', 'audit:read'];
+
+// Built-in roles: the shop owner has every permission, customers have none
+const OWNER_ROLE = 'admin';
+const CUSTOMER_ROLE = 'customer';
+
+// Starter staff roles created on first run (editable afterwards)
+const DEFAULT_ROLES = {
+  order_preparer: ['orders:read', 'orders:update-status', 'products:read', 'inventory:read'],
+  catalog_editor: ['products:read', 'products:write', 'inventory:read', 'inventory:write', 'promotions:write', 'reviews:moderate']
+};
+
+module.exports = { PERMISSIONS, OWNER_ONLY_PERMISSIONS, OWNER_ROLE, CUSTOMER_ROLE, DEFAULT_ROLES };
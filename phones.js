@@ -0,0 +1,12 @@
+// Phone numbers are stored in the local format: digits only, the +213/00213 prefix replaced by 0
+// ("+213 555 12-34-56" -> "0555123456"), so a number matches however it was typed.
+const normalizePhone = (value) => {
+  if (typeof value !== 'string' && typeof value !== 'number') return null;
+  const digits = String(value).replace(/\D/g, '').replace(/^(00)?213/, '0');
+  return digits.length >= 9 && digits.length <= 15 ? digits : null;
+};
+
+// The same normalisation in SQL, for comparing against rows stored before it existed
+const phoneSql = (column) => `REGEXP_REPLACE(REGEXP_REPLACE(${column}, '\\D', '', 'g'), '^(00)?213', '0')`;
+
+module.exports = { normalizePhone, phoneSql };
@@ -0,0 +1,41 @@
+// SQL fragments over the products table for scheduled promotions.
+// A promotion is either a fixed sale_price or a discount_percent, optionally bounded by dates.
+const PROMO_ACTIVE_SQL = `(
+  (sale_price IS NOT NULL OR discount_percent IS NOT NULL)
+  AND (promo_starts_at IS NULL OR promo_starts_at <= NOW())
+  AND (promo_ends_at IS NULL OR promo_ends_at > NOW())
+)`;
+
+const EFFECTIVE_PRICE_SQL = `(CASE WHEN ${PROMO_ACTIVE_SQL}
+  THEN COALESCE(sale_price, ROUND(price * (1 - discount_percent / 100), 2))
+  ELSE price END)`;
+
+// A variant's price follows its product's percentage promotion; fixed sale prices only apply to the product itself
+const variantPriceSql = (variant, product) => `(CASE WHEN ${product}.discount_percent IS NOT NULL
+    AND (${product}.promo_starts_at IS NULL OR ${product}.promo_starts_at <= NOW())
+    AND (${product}.promo_ends_at IS NULL OR ${product}.promo_ends_at > NOW())
+  THEN ROUND(${variant}.price * (1 - ${product}.discount_percent / 100), 2)
+  ELSE ${variant}.price END)`;
+
+// Helper: read the promotion fields of a product form (multipart sends everything as strings);
+// returns the fields or { error }. A sale price must be below the product's price.
+const parsePromoFields = (body) => {
+  const orNull = (value) => (value === undefined || value === null || value === '' ? null : value);
+  const promo = {
+    sale_price: orNull(body.sale_price),
+    discount_percent: orNull(body.discount_percent),
+    promo_starts_at: orNull(body.promo_starts_at),
+    promo_ends_at: orNull(body.promo_ends_at)
+  };
+  if (promo.discount_percent !== null) {
+    const percent = Number(promo.discount_percent);
+    if (!(percent > 0 && percent <= 100)) return { error: 'discount_percent must be between 0 and 100' };
+  }
+  if (promo.sale_price !== null) {
+    const salePrice = Number(promo.sale_price);
+    if (!(salePrice >= 0 && salePrice < Number(body.price))) return { error: 'sale_price must be at least 0 and below the price' };
+  }
+  return promo;
+};
+
+module.exports = { PROMO_ACTIVE_SQL, EFFECTIVE_PRICE_SQL, variantPriceSql, parsePromoFields };
@@ -0,0 +1,117 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Addresses a URL entered by a user must never reach: loopback, private networks, link-local
+// (cloud metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges,
+// and NAT64 prefixes, which map back onto IPv4 addresses
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6');
+}
+
+const MAX_REDIRECTS = 3;
+
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const privateHostError = (host) => Object.assign(new Error('URL must point to a public host'), { code: 'EPRIVATEHOST', host });
+
+// dns.lookup replacement for outgoing requests: the addresses are checked at connection time, and the
+// socket connects to exactly the addresses that were checked (no second resolution to race with)
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(privateHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Helper: parse a URL and check what can be checked without connecting; returns { url } or { error }
+const parsePublicUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return { error: 'Invalid URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return { error: 'URL must start with http:// or https://' };
+  // IP literals never go through the lookup, so they are checked here
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host) && isPrivateAddress(host)) return { error: 'URL must point to a public host' };
+  return { url };
+};
+
+// Check that a URL is http(s) and that its host resolves only to public addresses; returns an error message or null.
+// For forms: requests made with requestPublic are checked again when they connect.
+const checkPublicUrl = async (value) => {
+  const parsed = parsePublicUrl(value);
+  if (parsed.error) return parsed.error;
+  const host = parsed.url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) return null;
+  return new Promise((resolve) => {
+    publicLookup(host, { all: true }, (err) => {
+      if (!err) resolve(null);
+      else resolve(err.code === 'EPRIVATEHOST' ? err.message : `Unknown host ${host}`);
+    });
+  });
+};
+
+// Helper: one request, connecting only to public addresses; resolves with { status, headers, body }
+// where body is a buffer, or null when it is larger than maxBytes
+const requestOnce = (url, { method, headers, body, maxBytes, signal }) => new Promise((resolve, reject) => {
+  const transport = url.protocol === 'https:' ? https : http;
+  const request = transport.request(url, { method, headers, lookup: publicLookup, signal }, (response) => {
+    const declared = parseInt(response.headers['content-length']);
+    if (declared > maxBytes) {
+      response.destroy();
+      return resolve({ status: response.statusCode, headers: response.headers, body: null });
+    }
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        response.destroy();
+        return resolve({ status: response.statusCode, headers: response.headers, body: null });
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({ status: response.statusCode, headers: response.headers, body: Buffer.concat(chunks) }));
+    response.on('error', reject);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// HTTP request to a user-supplied URL: every hop (redirects included) may only reach public hosts, the whole
+// exchange is bounded by timeoutMs and the response body by maxBytes. Redirects are followed for GET only.
+// Resolves with { status, headers, body } (body null when too large); rejects when the URL isn't allowed.
+const requestPublic = async (value, { method = 'GET', headers = {}, body, timeoutMs, maxBytes }) => {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = value;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const parsed = parsePublicUrl(current);
+    if (parsed.error) throw Object.assign(new Error(parsed.error), { code: 'EPRIVATEHOST' });
+    const response = await requestOnce(parsed.url, { method, headers, body, maxBytes, signal });
+    const location = response.headers.location;
+    if (method !== 'GET' || response.status < 300 || response.status >= 400 || !location) return response;
+    current = new URL(location, parsed.url).toString();
+  }
+  throw new Error('Too many redirects');
+};
+
+module.exports = { isPrivateAddress, checkPublicUrl, requestPublic };
@@ -0,0 +1,120 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { auth } = require('../middleware');
+const router = express.Router();
+
+const MAX_ADDRESSES = 10;
+
+// Helper: read an address form; returns { address } or { error }
+const parseAddress = (body) => {
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+  const address = text(body.address, 1000);
+  if (!address) return { error: 'Address is required' };
+  const wilayaCode = body.wilaya_code === undefined || body.wilaya_code === null || body.wilaya_code === ''
+    ? null : parseInt(body.wilaya_code);
+  if (wilayaCode !== null && !(wilayaCode > 0)) return { error: 'Invalid wilaya' };
+  return {
+    address: {
+      label: text(body.label, 50),
+      recipient_name: text(body.recipient_name, 100),
+      phone: text(body.phone, 20),
+      address,
+      wilaya_code: wilayaCode,
+      commune: text(body.commune, 100)
+    }
+  };
+};
+
+// Helper: make one address the default (the previous default loses it)
+const setDefault = async (client, userId, addressId) => {
+  await client.query('UPDATE addresses SET is_default=false WHERE user_id=$1 AND is_default AND id<>$2', [userId, addressId]);
+  await client.query('UPDATE addresses SET is_default=true WHERE id=$1 AND user_id=$2', [addressId, userId]);
+};
+
+// Saved delivery addresses, default first
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM addresses WHERE user_id=$1 ORDER BY is_default DESC, updated_at DESC, id DESC',
+      [req.user.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save an address; the first one (or one sent with is_default) becomes the default
+router.post('/', auth, async (req, res) => {
+  try {
+    const parsed = parseAddress(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const result = await withTransaction(async (client) => {
+      const count = await client.query('SELECT COUNT(*)::int as count FROM addresses WHERE user_id=$1', [req.user.id]);
+      if (count.rows[0].count >= MAX_ADDRESSES) return { error: `You can save up to ${MAX_ADDRESSES} addresses` };
+      const { label, recipient_name, phone, address, wilaya_code, commune } = parsed.address;
+      const inserted = await client.query(
+        `INSERT INTO addresses (user_id, label, recipient_name, phone, address, wilaya_code, commune)
+         VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id`,
+        [req.user.id, label, recipient_name, phone, address, wilaya_code, commune]
+      );
+      const id = inserted.rows[0].id;
+      if (count.rows[0].count === 0 || req.body.is_default === true) await setDefault(client, req.user.id, id);
+      return { address: (await client.query('SELECT * FROM addresses WHERE id=$1', [id])).rows[0] };
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json(result.address);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update an address (is_default=true makes it the default)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const parsed = parseAddress(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const address = await withTransaction(async (client) => {
+      const { label, recipient_name, phone, address: text, wilaya_code, commune } = parsed.address;
+      const updated = await client.query(
+        `UPDATE addresses SET label=$1, recipient_name=$2, phone=$3, address=$4, wilaya_code=$5, commune=$6, updated_at=NOW()
+         WHERE id=$7 AND user_id=$8 RETURNING id`,
+        [label, recipient_name, phone, text, wilaya_code, commune, req.params.id, req.user.id]
+      );
+      if (updated.rows.length === 0) return null;
+      if (req.body.is_default === true) await setDefault(client, req.user.id, updated.rows[0].id);
+      return (await client.query('SELECT * FROM addresses WHERE id=$1', [updated.rows[0].id])).rows[0];
+    });
+    if (!address) return res.status(404).json({ error: 'Address not found' });
+    res.json(address);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete an address; if it was the default, the most recently used one takes over
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM addresses WHERE id=$1 AND user_id=$2 RETURNING *', [req.params.id, req.user.id]);
+      if (result.rows.length === 0) return null;
+      if (result.rows[0].is_default) {
+        await client.query(`
+          UPDATE addresses SET is_default=true
+          WHERE id = (SELECT id FROM addresses WHERE user_id=$1 ORDER BY updated_at DESC, id DESC LIMIT 1)
+        `, [req.user.id]);
+      }
+      return result.rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: 'Address not found' });
+    res.json({ message: 'Address deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,32 @@
 const express = require('express');
-const { pool } = require('../db');
-const { adminAuth } = require('../middleware');
+const crypto = require('crypto');
+const { pool, withTransaction } = require('../db');
+const bcrypt = require('bcryptjs');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { PERMISSIONS, OWNER_ONLY_PERMISSIONS, OWNER_ROLE, CUSTOMER_ROLE } = require('../permissions');
+const { REVENUE_STATUSES } = require('../orderStatus');
+const { COUPON_TYPES } = require('../coupons');
+const { STOCK_LEVELS_SQL } = require('../inventory');
+const { EVENT_TYPES } = require('../outbox');
+const { subscribe } = require('../live');
+const { checkPublicUrl } = require('../remote');
+const { normalizePhone } = require('../phones');
+const { revokeAllSessions } = require('../sessions');
+const {
+  parseRange, periodMetrics, compareMetrics, bestSellers, bestCategories, revenueSeries,
+  deviceType, hashIp, cleanSessionId
+} = require('../analytics');
 const router = express.Router();
 
-// Dashboard stats
-router.get('/stats', adminAuth, async (req, res) => {
+// Dashboard stats: all-time totals plus analytics for ?from&to (compared with ?compare=previous|year|none)
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
   try {
-    const users = await pool.query('SELECT COUNT(*) FROM users WHERE role=$1', ['customer']);
+    const range = parseRange(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    const users = await pool.query('SELECT COUNT(*) FROM users WHERE role=$1 AND deleted_at IS NULL', ['customer']);
     const orders = await pool.query('SELECT COUNT(*) FROM orders');
-    const revenue = await pool.query('SELECT COALESCE(SUM(total),0) as total FROM orders WHERE status=$1', ['confirmed']);
+    const revenue = await pool.query('SELECT COALESCE(SUM(total),0) as total FROM orders WHERE status = ANY($1)', [REVENUE_STATUSES]);
     const products = await pool.query('SELECT COUNT(*) FROM products');
     const visits = await pool.query('SELECT COUNT(*) FROM site_visits');
     const pendingOrders = await pool.query("SELECT COUNT(*) FROM orders WHERE status='pending'");
@@ -17,13 +35,22 @@ router.get('/stats', adminAuth, async (req, res) => {
       LEFT JOIN users u ON o.user_id = u.id 
       ORDER BY o.created_at DESC LIMIT 5
     `);
-    const topProducts = await pool.query('SELECT * FROM products WHERE is_featured=true LIMIT 5');
+    const stockLevels = await pool.query(`
+      SELECT COUNT(*) FILTER (WHERE stock <= 0) as out_of_stock,
+        COUNT(*) FILTER (WHERE stock > 0 AND stock <= reorder_threshold) as low_stock
+      FROM (${STOCK_LEVELS_SQL}) levels
+    `);
     
     // Monthly orders for chart
     const monthlyOrders = await pool.query(`
-      SELECT DATE_TRUNC('month', created_at) as month, COUNT(*) as count, SUM(total) as revenue
+      SELECT DATE_TRUNC('month', created_at) as month, COUNT(*) as count,
+        COALESCE(SUM(total) FILTER (WHERE status = ANY($1)), 0) as revenue
       FROM orders GROUP BY month ORDER BY month DESC LIMIT 6
-    `);
+    `, [REVENUE_STATUSES]);
+
+    const current = await periodMetrics(pool, range);
+    const previous = range.previous ? await periodMetrics(pool, range.previous) : null;
+    const sellers = await bestSellers(pool, range);
 
     res.json({
       totalUsers: parseInt(users.rows[0].count),
@@ -32,9 +59,16 @@ router.get('/stats', adminAuth, async (req, res) => {
       totalProducts: parseInt(products.rows[0].count),
       totalVisits: parseInt(visits.rows[0].count),
       pendingOrders: parseInt(pendingOrders.rows[0].count),
+      lowStock: parseInt(stockLevels.rows[0].low_stock),
+      outOfStock: parseInt(stockLevels.rows[0].out_of_stock),
       recentOrders: recentOrders.rows,
-      topProducts: topProducts.rows,
-      monthlyOrders: monthlyOrders.rows
+      topProducts: sellers.slice(0, 5),
+      monthlyOrders: monthlyOrders.rows,
+      range: { from: range.from, to: range.to, compare: range.compare, previous: range.previous, group_by: range.groupBy },
+      summary: { current, previous, change: previous ? compareMetrics(current, previous) : null },
+      bestSellers: sellers,
+      bestCategories: await bestCategories(pool, range),
+      revenueSeries: await revenueSeries(pool, range)
     });
   } catch (err) {
     console.error(err);
@@ -42,66 +76,612 @@ router.get('/stats', adminAuth, async (req, res) => {
   }
 });
 
-// Get all users
-router.get('/users', adminAuth, async (req, res) => {
+// Customer list filters (?status=); without one, every account that isn't deleted
+const USER_FILTERS = {
+  active: 'u.deleted_at IS NULL AND u.blocked_at IS NULL',
+  blocked: 'u.deleted_at IS NULL AND u.blocked_at IS NOT NULL',
+  deleted: 'u.deleted_at IS NOT NULL'
+};
+
+const USER_SORTS = {
+  newest: 'u.created_at DESC, u.id DESC',
+  spend: 's.lifetime_spend DESC, u.id DESC',
+  last_order: 's.last_order_at DESC NULLS LAST, u.id DESC'
+};
+
+// Order totals of a user (lateral join on u); spend only counts orders with a status in statusesParam
+const userStatsSql = (statusesParam) => `LEFT JOIN LATERAL (
+  SELECT COUNT(*)::int as order_count,
+    COALESCE(SUM(o.total) FILTER (WHERE o.status = ANY(${statusesParam})), 0) as lifetime_spend,
+    MAX(o.created_at) as last_order_at,
+    COUNT(*) FILTER (WHERE o.status = 'cancelled')::int as cancelled_count
+  FROM orders o WHERE o.user_id = u.id
+) s ON true`;
+
+const USER_COLUMNS = `u.id, u.username, u.phone, u.role, u.phone_verified, u.blocked_at, u.blocked_reason, u.deleted_at, u.created_at,
+  COALESCE((SELECT a.address FROM addresses a WHERE a.user_id = u.id AND a.is_default), u.address) as address`;
+
+// Users, paginated: ?search (name or phone), ?status=active|blocked|deleted, ?role, ?sort=newest|spend|last_order
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, username, phone, address, role, created_at FROM users ORDER BY created_at DESC');
-    res.json(result.rows);
+    if (req.query.status && !USER_FILTERS[req.query.status]) {
+      return res.status(400).json({ error: `Status must be one of: ${Object.keys(USER_FILTERS).join(', ')}` });
+    }
+    const sort = USER_SORTS[req.query.sort] ? req.query.sort : 'newest';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    let where = USER_FILTERS[req.query.status] || 'u.deleted_at IS NULL';
+    const params = [];
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    if (search) {
+      params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+      where += ` AND (f_unaccent(LOWER(u.username)) LIKE f_unaccent(LOWER($${params.length})) OR u.phone LIKE $${params.length})`;
+    }
+    if (typeof req.query.role === 'string' && req.query.role) {
+      params.push(req.query.role);
+      where += ` AND u.role = $${params.length}`;
+    }
+
+    const result = await pool.query(`
+      SELECT ${USER_COLUMNS}, s.order_count, s.lifetime_spend, s.last_order_at
+      FROM users u ${userStatsSql(`$${params.length + 1}`)}
+      WHERE ${where} ORDER BY ${USER_SORTS[sort]} LIMIT $${params.length + 2} OFFSET $${params.length + 3}
+    `, [...params, REVENUE_STATUSES, limit, offset]);
+    const count = await pool.query(`SELECT COUNT(*)::int as total FROM users u WHERE ${where}`, params);
+    res.json({
+      users: result.rows.map(user => ({ ...user, lifetime_spend: parseFloat(user.lifetime_spend) })),
+      total: count.rows[0].total,
+      limit,
+      offset,
+      sort
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Customer detail: account, saved addresses, order history and lifetime numbers
+router.get('/users/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) return res.status(400).json({ error: 'Invalid ID' });
+    const result = await pool.query(`
+      SELECT ${USER_COLUMNS}, s.order_count, s.lifetime_spend, s.last_order_at, s.cancelled_count
+      FROM users u ${userStatsSql('$2')} WHERE u.id=$1
+    `, [userId, REVENUE_STATUSES]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    const { order_count, lifetime_spend, last_order_at, cancelled_count, ...user } = result.rows[0];
+
+    const addresses = await pool.query('SELECT * FROM addresses WHERE user_id=$1 ORDER BY is_default DESC, updated_at DESC', [userId]);
+    const orders = await pool.query(`
+      SELECT id, tracking_code, status, total, jsonb_array_length(items) as item_count, wilaya, commune, created_at
+      FROM orders WHERE user_id=$1 ORDER BY created_at DESC
+    `, [userId]);
+    const spend = parseFloat(lifetime_spend);
+    const paidOrders = orders.rows.filter(o => REVENUE_STATUSES.includes(o.status)).length;
+    res.json({
+      ...user,
+      addresses: addresses.rows,
+      stats: {
+        order_count,
+        lifetime_spend: spend,
+        average_order_value: paidOrders > 0 ? Math.round((spend / paidOrders) * 100) / 100 : 0,
+        last_order_at,
+        cancelled_count
+      },
+      orders: orders.rows
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Block a customer: they are logged out and can't log in or order until unblocked
+router.post('/users/:id/block', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET blocked_at=COALESCE(blocked_at, NOW()), blocked_reason=$1
+         WHERE id=$2 AND role=$3 AND deleted_at IS NULL RETURNING id, username, phone, blocked_at, blocked_reason`,
+        [reason, req.params.id, CUSTOMER_ROLE]
+      );
+      if (result.rows.length === 0) return null;
+      await revokeAllSessions(client, result.rows[0].id);
+      await audit(req, 'user.block', 'user', req.params.id, null, { blocked_reason: reason }, client);
+      return result.rows[0];
+    });
+    if (!user) return res.status(404).json({ error: 'Customer not found' });
+    res.json(user);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.post('/users/:id/unblock', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE users SET blocked_at=NULL, blocked_reason=NULL
+       WHERE id=$1 AND role=$2 AND deleted_at IS NULL RETURNING id, username, phone, blocked_at, blocked_reason`,
+      [req.params.id, CUSTOMER_ROLE]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Customer not found' });
+    await audit(req, 'user.unblock', 'user', req.params.id, null, null);
+    res.json(result.rows[0]);
   } catch (err) {
+    console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Delete user
-router.delete('/users/:id', adminAuth, async (req, res) => {
+// Delete a customer: the account is anonymised and closed, its orders stay for the sales history.
+// The phone is freed so the number can register again.
+router.delete('/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM users WHERE id=$1 AND role != $2', [req.params.id, 'admin']);
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET username='Client supprimé', phone='deleted-' || id, password=$1, address=NULL,
+           phone_verified=false, blocked_at=NULL, blocked_reason=NULL, deleted_at=NOW()
+         WHERE id=$2 AND role=$3 AND deleted_at IS NULL RETURNING id, role, created_at, deleted_at`,
+        [password, req.params.id, CUSTOMER_ROLE]
+      );
+      if (result.rows.length === 0) return null;
+      await revokeAllSessions(client, result.rows[0].id);
+      for (const table of ['addresses', 'cart_items', 'wishlist_items']) {
+        await client.query(`DELETE FROM ${table} WHERE user_id=$1`, [result.rows[0].id]);
+      }
+      // Only ids in the audit trail, so the personal data really is gone
+      await audit(req, 'user.delete', 'user', req.params.id, null, result.rows[0], client);
+      return result.rows[0];
+    });
+    if (!deleted) return res.status(404).json({ error: 'Customer not found' });
     res.json({ message: 'User deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get all coupons
+router.get('/coupons', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM coupons ORDER BY created_at DESC');
+    res.json(result.rows);
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get site settings
-router.get('/settings', async (req, res) => {
+// Helper: validate and read a coupon form
+const readCoupon = (body) => {
+  const { code, type, value, min_cart, max_uses, max_uses_per_customer, categories, brands, starts_at, ends_at, is_active } = body;
+  if (typeof code !== 'string' || !code.trim() || !COUPON_TYPES.includes(type) || !(Number(value) > 0)) {
+    return { error: `Code, a type (${COUPON_TYPES.join(' or ')}) and a positive value are required` };
+  }
+  if (type === 'percent' && Number(value) > 100) return { error: 'A percent coupon cannot exceed 100' };
+  return {
+    params: [code.trim(), type, value, min_cart ?? null, max_uses ?? null, max_uses_per_customer ?? null,
+      categories || [], brands || [], starts_at || null, ends_at || null, is_active !== false]
+  };
+};
+
+// Create coupon
+router.post('/coupons', requirePermission('promotions:write'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM site_settings LIMIT 1');
-    res.json(result.rows[0] || {});
+    const coupon = readCoupon(req.body);
+    if (coupon.error) return res.status(400).json({ error: coupon.error });
+    const result = await pool.query(
+      `INSERT INTO coupons (code, type, value, min_cart, max_uses, max_uses_per_customer, categories, brands, starts_at, ends_at, is_active)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
+      coupon.params
+    );
+    await audit(req, 'coupon.create', 'coupon', result.rows[0].id, null, result.rows[0]);
+    res.status(201).json(result.rows[0]);
   } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Coupon code already exists' });
+    console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Update site settings
-router.put('/settings', adminAuth, async (req, res) => {
+// Update coupon
+router.put('/coupons/:id', requirePermission('promotions:write'), async (req, res) => {
   try {
-    const { primary_color, secondary_color, accent_color, bg_color, text_color, font_family, hero_title, hero_subtitle } = req.body;
+    const coupon = readCoupon(req.body);
+    if (coupon.error) return res.status(400).json({ error: coupon.error });
+    const before = await pool.query('SELECT * FROM coupons WHERE id=$1', [req.params.id]);
     const result = await pool.query(
-      `UPDATE site_settings SET 
-        primary_color=COALESCE($1,primary_color), 
-        secondary_color=COALESCE($2,secondary_color),
-        accent_color=COALESCE($3,accent_color),
-        bg_color=COALESCE($4,bg_color),
-        text_color=COALESCE($5,text_color),
-        font_family=COALESCE($6,font_family),
-        hero_title=COALESCE($7,hero_title),
-        hero_subtitle=COALESCE($8,hero_subtitle),
-        updated_at=NOW()
-      WHERE id=1 RETURNING *`,
-      [primary_color, secondary_color, accent_color, bg_color, text_color, font_family, hero_title, hero_subtitle]
+      `UPDATE coupons SET code=$1, type=$2, value=$3, min_cart=$4, max_uses=$5, max_uses_per_customer=$6,
+        categories=$7, brands=$8, starts_at=$9, ends_at=$10, is_active=$11
+      WHERE id=$12 RETURNING *`,
+      [...coupon.params, req.params.id]
     );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Coupon not found' });
+    await audit(req, 'coupon.update', 'coupon', req.params.id, before.rows[0], result.rows[0]);
     res.json(result.rows[0]);
   } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Coupon code already exists' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete coupon
+router.delete('/coupons/:id', requirePermission('promotions:write'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM coupons WHERE id=$1 RETURNING *', [req.params.id]);
+    if (result.rows.length > 0) await audit(req, 'coupon.delete', 'coupon', req.params.id, result.rows[0]);
+    res.json({ message: 'Coupon deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper: permissions the caller may grant: the ones they hold, except owner-only ones (the owner grants anything)
+const grantablePermissions = async (req) => {
+  if (req.user.role === OWNER_ROLE) return PERMISSIONS;
+  const result = await pool.query('SELECT permissions FROM roles WHERE name=$1', [req.user.role]);
+  const own = result.rows[0] ? result.rows[0].permissions : [];
+  return own.filter(p => !OWNER_ONLY_PERMISSIONS.includes(p));
+};
+
+// Helper: permissions of a list the caller may not grant (empty when they may grant all of them)
+const beyondGrant = async (req, permissions) => {
+  const grantable = await grantablePermissions(req);
+  return permissions.filter(p => !grantable.includes(p));
+};
+
+const grantRefused = (res, permissions) =>
+  res.status(403).json({ error: `You cannot grant: ${permissions.join(', ')}` });
+
+// Get staff roles and the permissions that can be granted
+router.get('/roles', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM roles ORDER BY name');
+    res.json({ roles: result.rows, permissions: PERMISSIONS, grantable: await grantablePermissions(req) });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper: validate a role form
+const readRole = (body) => {
+  const { name, permissions } = body;
+  if (!name || !/^[a-z0-9_]+$/.test(name)) return { error: 'Role name must be lowercase letters, digits or _' };
+  if ([OWNER_ROLE, CUSTOMER_ROLE].includes(name)) return { error: `${name} is a built-in role` };
+  if (!Array.isArray(permissions) || permissions.some(p => !PERMISSIONS.includes(p))) {
+    return { error: `Permissions must be a list of: ${PERMISSIONS.join(', ')}` };
+  }
+  return { name, permissions };
+};
+
+// Create staff role
+router.post('/roles', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const role = readRole(req.body);
+    if (role.error) return res.status(400).json({ error: role.error });
+    const refused = await beyondGrant(req, role.permissions);
+    if (refused.length > 0) return grantRefused(res, refused);
+    const result = await pool.query('INSERT INTO roles (name, permissions) VALUES ($1,$2) RETURNING *', [role.name, role.permissions]);
+    await audit(req, 'role.create', 'role', result.rows[0].id, null, result.rows[0]);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Role already exists' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update staff role (renaming moves its members along)
+router.put('/roles/:id', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const role = readRole(req.body);
+    if (role.error) return res.status(400).json({ error: role.error });
+    const result = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM roles WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (before.rows.length === 0) return null;
+      // Neither the new permissions nor the ones the role had may exceed what the caller can grant
+      const refused = await beyondGrant(req, [...new Set([...role.permissions, ...before.rows[0].permissions])]);
+      if (refused.length > 0) return { refused };
+      const updated = await client.query('UPDATE roles SET name=$1, permissions=$2 WHERE id=$3 RETURNING *', [role.name, role.permissions, req.params.id]);
+      await client.query('UPDATE users SET role=$1 WHERE role=$2', [role.name, before.rows[0].name]);
+      await audit(req, 'role.update', 'role', req.params.id, before.rows[0], updated.rows[0], client);
+      return updated.rows[0];
+    });
+    if (!result) return res.status(404).json({ error: 'Role not found' });
+    if (result.refused) return grantRefused(res, result.refused);
+    res.json(result);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Role already exists' });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Track visit
+// Delete staff role (refused while staff still have it)
+router.delete('/roles/:id', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const role = await pool.query('SELECT * FROM roles WHERE id=$1', [req.params.id]);
+    if (role.rows.length === 0) return res.status(404).json({ error: 'Role not found' });
+    const refused = await beyondGrant(req, role.rows[0].permissions);
+    if (refused.length > 0) return grantRefused(res, refused);
+    const members = await pool.query('SELECT COUNT(*) FROM users WHERE role=$1', [role.rows[0].name]);
+    if (parseInt(members.rows[0].count) > 0) return res.status(400).json({ error: 'Role is still assigned to staff' });
+    await pool.query('DELETE FROM roles WHERE id=$1', [req.params.id]);
+    await audit(req, 'role.delete', 'role', req.params.id, role.rows[0]);
+    res.json({ message: 'Role deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper: is this a role the caller can give (or take away)? Only the owner can hand out the owner role,
+// and other staff only roles whose permissions they could grant themselves.
+const assignableRole = async (req, role) => {
+  if (role === OWNER_ROLE) return req.user.role === OWNER_ROLE;
+  if (role === CUSTOMER_ROLE) return true;
+  const result = await pool.query('SELECT permissions FROM roles WHERE name=$1', [role]);
+  if (result.rows.length === 0) return false;
+  return (await beyondGrant(req, result.rows[0].permissions)).length === 0;
+};
+
+// Get staff accounts
+router.get('/staff', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, phone, role, created_at FROM users WHERE role != $1 ORDER BY role, username',
+      [CUSTOMER_ROLE]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create staff account; the password is temporary and must be changed at first login
+router.post('/staff', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    if (!username || !phone || !password || !role) {
+      return res.status(400).json({ error: 'Username, phone, password and role are required' });
+    }
+    if (role === CUSTOMER_ROLE || !await assignableRole(req, role)) return res.status(400).json({ error: 'Invalid role' });
+    const hash = await bcrypt.hash(password, 10);
+    const result = await pool.query(
+      'INSERT INTO users (username, phone, password, role, phone_verified, must_change_password) VALUES ($1,$2,$3,$4,true,true) RETURNING id, username, phone, role, created_at',
+      [username, phone, hash, role]
+    );
+    await audit(req, 'staff.create', 'user', result.rows[0].id, null, result.rows[0]);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Phone number already registered' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change a user's role (e.g. promote a customer to staff, or back to customer)
+router.put('/staff/:id/role', requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!await assignableRole(req, role)) return res.status(400).json({ error: 'Invalid role' });
+    if (parseInt(req.params.id) === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+    const before = await pool.query('SELECT id, username, phone, role FROM users WHERE id=$1', [req.params.id]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    if (before.rows[0].role === OWNER_ROLE && req.user.role !== OWNER_ROLE) {
+      return res.status(403).json({ error: 'Only the owner can change an owner account' });
+    }
+    if (!await assignableRole(req, before.rows[0].role)) {
+      return res.status(403).json({ error: 'You cannot change the role of staff with more access than you' });
+    }
+    const result = await pool.query('UPDATE users SET role=$1 WHERE id=$2 RETURNING id, username, phone, role', [role, req.params.id]);
+    await audit(req, 'staff.role', 'user', req.params.id, before.rows[0], result.rows[0]);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Query the audit log
+router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { user_id, entity, entity_id, action, from, to } = req.query;
+    let query = 'SELECT a.*, u.username FROM audit_log a LEFT JOIN users u ON a.user_id = u.id WHERE 1=1';
+    const params = [];
+    let i = 1;
+    if (user_id) { query += ` AND a.user_id=$${i++}`; params.push(user_id); }
+    if (entity) { query += ` AND a.entity=$${i++}`; params.push(entity); }
+    if (entity_id) { query += ` AND a.entity_id=$${i++}`; params.push(entity_id); }
+    if (action) { query += ` AND a.action=$${i++}`; params.push(action); }
+    if (from) { query += ` AND a.created_at >= $${i++}::date`; params.push(from); }
+    if (to) { query += ` AND a.created_at < $${i++}::date + 1`; params.push(to); }
+    const limit = Math.max(Math.min(parseInt(req.query.limit) || 50, 200), 1);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    query += ` ORDER BY a.created_at DESC, a.id DESC LIMIT $${i++} OFFSET $${i++}`;
+    const result = await pool.query(query, [...params, limit, offset]);
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Live feed of new orders and status changes (Server-Sent Events).
+// Reconnecting clients send Last-Event-ID and get the events they missed.
+router.get('/events', requirePermission('orders:read'), async (req, res) => {
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const lastEventId = parseInt(req.get('last-event-id')) || null;
+    // Listen for the disconnect first: the client may go away while subscribe() is still replaying
+    let closed = false;
+    let unsubscribe = null;
+    let heartbeat = null;
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      if (unsubscribe) unsubscribe();
+    });
+    unsubscribe = await subscribe(res, lastEventId);
+    if (closed) return unsubscribe();
+    heartbeat = setInterval(() => res.write(': ping\n\n'), 25 * 1000);
+  } catch (err) {
+    console.error(err);
+    res.end();
+  }
+});
+
+// Helper: validate a webhook form; the URL must reach a public host (not this server's network)
+const readWebhook = async (body) => {
+  const { url, events = [], is_active } = body;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    return { error: 'A valid URL is required' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'Webhook URL must be http or https' };
+  const hostProblem = await checkPublicUrl(parsed.toString());
+  if (hostProblem) return { error: hostProblem };
+  if (!Array.isArray(events) || events.some(type => !EVENT_TYPES.includes(type))) {
+    return { error: `Events must be a list of: ${EVENT_TYPES.join(', ')} (empty for all)` };
+  }
+  return { url: parsed.toString(), events, is_active: is_active !== false };
+};
+
+// Helper: a signing secret sent with a webhook form; returns { secret } (null when none was sent) or { error }
+const readWebhookSecret = (value) => {
+  if (value === undefined || value === null || value === '') return { secret: null };
+  if (typeof value !== 'string' || value.length < 16 || value.length > 100) {
+    return { error: 'Secret must be text of 16 to 100 characters' };
+  }
+  return { secret: value };
+};
+
+// Get webhooks with their delivery counts (secrets are only shown once, on creation)
+router.get('/webhooks', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT w.id, w.url, w.events, w.is_active, w.created_at,
+        COUNT(d.id) FILTER (WHERE d.status='pending')::int as pending,
+        COUNT(d.id) FILTER (WHERE d.status='failed')::int as failed
+      FROM webhooks w LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+      GROUP BY w.id ORDER BY w.id
+    `);
+    res.json({ webhooks: result.rows, events: EVENT_TYPES });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create webhook; the signing secret is generated unless one is given
+router.post('/webhooks', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const webhook = await readWebhook(req.body);
+    if (webhook.error) return res.status(400).json({ error: webhook.error });
+    const given = readWebhookSecret(req.body.secret);
+    if (given.error) return res.status(400).json({ error: given.error });
+    const secret = given.secret || crypto.randomBytes(24).toString('hex');
+    const result = await pool.query(
+      'INSERT INTO webhooks (url, secret, events, is_active) VALUES ($1,$2,$3,$4) RETURNING *',
+      [webhook.url, secret, webhook.events, webhook.is_active]
+    );
+    const { secret: _, ...logged } = result.rows[0];
+    await audit(req, 'webhook.create', 'webhook', result.rows[0].id, null, logged);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update webhook (the secret is kept unless a new one is given)
+router.put('/webhooks/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const webhook = await readWebhook(req.body);
+    if (webhook.error) return res.status(400).json({ error: webhook.error });
+    const given = readWebhookSecret(req.body.secret);
+    if (given.error) return res.status(400).json({ error: given.error });
+    const before = await pool.query('SELECT id, url, events, is_active FROM webhooks WHERE id=$1', [req.params.id]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'Webhook not found' });
+    const result = await pool.query(
+      'UPDATE webhooks SET url=$1, events=$2, is_active=$3, secret=COALESCE($4, secret) WHERE id=$5 RETURNING *',
+      [webhook.url, webhook.events, webhook.is_active, given.secret, req.params.id]
+    );
+    const { secret: _, ...logged } = result.rows[0];
+    await audit(req, 'webhook.update', 'webhook', req.params.id, before.rows[0], logged);
+    res.json(logged);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete webhook
+router.delete('/webhooks/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM webhooks WHERE id=$1 RETURNING id, url, events, is_active', [req.params.id]);
+    if (result.rows.length > 0) await audit(req, 'webhook.delete', 'webhook', req.params.id, result.rows[0]);
+    res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recent deliveries of a webhook
+router.get('/webhooks/:id/deliveries', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT d.*, e.type FROM webhook_deliveries d JOIN outbox_events e ON e.id = d.event_id
+      WHERE d.webhook_id=$1 ORDER BY d.id DESC LIMIT 100
+    `, [req.params.id]);
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Retry a failed delivery now
+router.post('/webhooks/deliveries/:id/retry', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE webhook_deliveries SET status='pending', attempts=0, next_attempt_at=NOW() WHERE id=$1 AND status='failed' RETURNING *",
+      [req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'No failed delivery with this id' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Track visit (public): { path, referrer, session_id }; the IP is only stored hashed.
+// Without TRUST_PROXY the peer address is the client's, unless the request came through a proxy
+// (X-Forwarded-For is set): then it would be the proxy's address for everyone, so no IP hash is kept.
 router.post('/visit', async (req, res) => {
   try {
-    const ip = req.ip || req.headers['x-forwarded-for'] || 'unknown';
-    await pool.query('INSERT INTO site_visits (ip) VALUES ($1)', [ip]);
+    const { path, referrer, session_id } = req.body;
+    const device = deviceType(req.get('user-agent'));
+    if (device === 'bot') return res.json({ ok: true });
+    const ip = req.app.get('trust proxy') ? req.ip : req.get('x-forwarded-for') ? null : req.socket.remoteAddress;
+    const ipHash = ip ? hashIp(ip) : null;
+    await pool.query(
+      'INSERT INTO site_visits (path, referrer, session_id, device_type, ip_hash) VALUES ($1,$2,$3,$4,$5)',
+      [typeof path === 'string' ? path.slice(0, 500) : null, typeof referrer === 'string' ? referrer.slice(0, 500) : null,
+        cleanSessionId(session_id), device, ipHash]
+    );
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
@@ -1,14 +1,19 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { pool } = require('../db');
+const { pool, withTransaction } = require('../db');
 const { auth } = require('../middleware');
+const { sendOtp, verifyOtp } = require('../otp');
+const { normalizePhone, phoneSql } = require('../phones');
+const {
+  issueSession, rotateSession, revokeRefreshToken, revokeAllSessions, loginLockout, recordLoginAttempt
+} = require('../sessions');
 const router = express.Router();
 
 // Register
 router.post('/register', async (req, res) => {
   try {
-    const { username, phone, password, address } = req.body;
+    const { username, password, address } = req.body;
+    const phone = normalizePhone(req.body.phone);
     if (!username || !phone || !password) {
       return res.status(400).json({ error: 'Username, phone and password are required' });
     }
@@ -17,41 +22,233 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Phone number already registered' });
     }
     const hash = await bcrypt.hash(password, 10);
+    // The account only exists if its verification code could be sent
+    const result = await withTransaction(async (client) => {
+      const inserted = await client.query(
+        'INSERT INTO users (username, phone, password, address) VALUES ($1,$2,$3,$4) RETURNING id, username, phone, address, role, phone_verified, created_at',
+        [username, phone, hash, address || '']
+      );
+      const user = inserted.rows[0];
+      const sent = await sendOtp(phone, 'verify_phone', { userId: user.id }, client);
+      if (sent.error) throw Object.assign(new Error('Verification code not sent'), { sent });
+      return { user, session: await issueSession(user, req, client) };
+    });
+    res.status(201).json({ user: result.user, ...result.session });
+  } catch (err) {
+    if (err.sent) return otpRefused(res, err.sent);
+    if (err.code === '23505') return res.status(400).json({ error: 'Phone number already registered' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper: mark a phone as verified and attach the guest orders placed with it
+const markPhoneVerified = async (userId, phone) => {
+  await pool.query('UPDATE users SET phone_verified=true WHERE id=$1', [userId]);
+  await pool.query(`UPDATE orders SET user_id=$1 WHERE user_id IS NULL AND ${phoneSql('phone')}=$2`, [userId, phone]);
+};
+
+// Helper: answer a refused OTP request (throttled, or the SMS gateway failed)
+const otpRefused = (res, sent) => {
+  if (sent.retryAfter) res.set('Retry-After', String(sent.retryAfter));
+  return res.status(sent.unavailable ? 502 : 429).json({ error: sent.error });
+};
+
+// Verify phone with the code sent at registration
+router.post('/verify-phone', async (req, res) => {
+  try {
+    const { code } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    if (!phone || !code) return res.status(400).json({ error: 'Phone and code are required' });
+    const verified = await verifyOtp(phone, 'verify_phone', code);
+    if (verified.error) return res.status(400).json({ error: verified.error });
+    const user = await pool.query('SELECT id FROM users WHERE phone=$1', [phone]);
+    if (user.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    await markPhoneVerified(user.rows[0].id, phone);
+    res.json({ message: 'Phone verified' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send the registration code again
+router.post('/resend-code', async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    const user = await pool.query('SELECT id, phone_verified FROM users WHERE phone=$1', [phone]);
+    if (user.rows.length === 0 || user.rows[0].phone_verified) return res.status(400).json({ error: 'Nothing to verify for this number' });
+    const sent = await sendOtp(phone, 'verify_phone', { userId: user.rows[0].id });
+    if (sent.error) return otpRefused(res, sent);
+    res.json({ message: 'Code sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Forgot password: text a reset code (same answer whether or not the number is registered)
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) return res.status(400).json({ error: 'Phone is required' });
+    const user = await pool.query('SELECT id FROM users WHERE phone=$1', [phone]);
+    if (user.rows.length > 0) {
+      const sent = await sendOtp(phone, 'reset_password', { userId: user.rows[0].id });
+      if (sent.error) return otpRefused(res, sent);
+    }
+    res.json({ message: 'If this number is registered, a code has been sent' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reset password with the texted code; this also proves the phone belongs to the user
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { code, password } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    if (!phone || !code || !password) return res.status(400).json({ error: 'Phone, code and new password are required' });
+    const verified = await verifyOtp(phone, 'reset_password', code);
+    if (verified.error) return res.status(400).json({ error: verified.error });
+    const hash = await bcrypt.hash(password, 10);
+    const result = await pool.query('UPDATE users SET password=$1, must_change_password=false WHERE phone=$2 RETURNING id', [hash, phone]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
+    await markPhoneVerified(result.rows[0].id, phone);
+    await revokeAllSessions(pool, result.rows[0].id);
+    res.json({ message: 'Password updated' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Ask to change phone number: a code is sent to the new number
+router.post('/phone/change', auth, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body.phone);
+    if (!phone) return res.status(400).json({ error: 'New phone is required' });
+    const taken = await pool.query('SELECT id FROM users WHERE phone=$1', [phone]);
+    if (taken.rows.length > 0) return res.status(400).json({ error: 'Phone number already registered' });
+    const sent = await sendOtp(phone, 'change_phone', { userId: req.user.id });
+    if (sent.error) return otpRefused(res, sent);
+    res.json({ message: 'Code sent to the new number' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Confirm the phone change with the code received on the new number
+router.post('/phone/confirm', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    if (!phone || !code) return res.status(400).json({ error: 'Phone and code are required' });
+    const verified = await verifyOtp(phone, 'change_phone', code);
+    if (verified.error) return res.status(400).json({ error: verified.error });
+    if (verified.payload.userId !== req.user.id) return res.status(400).json({ error: 'Invalid code' });
     const result = await pool.query(
-      'INSERT INTO users (username, phone, password, address) VALUES ($1,$2,$3,$4) RETURNING id, username, phone, address, role, created_at',
-      [username, phone, hash, address || '']
+      'UPDATE users SET phone=$1, phone_verified=true WHERE id=$2 RETURNING id, username, phone, address, role, phone_verified, created_at',
+      [phone, req.user.id]
     );
-    const user = result.rows[0];
-    const token = jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '30d' });
-    res.status(201).json({ user, token });
+    res.json(result.rows[0]);
   } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Phone number already registered' });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Login
+// Login (throttled per phone and per IP)
 router.post('/login', async (req, res) => {
   try {
-    const { phone, password } = req.body;
-    const result = await pool.query('SELECT * FROM users WHERE phone=$1', [phone]);
-    if (result.rows.length === 0) return res.status(400).json({ error: 'Invalid credentials' });
+    const { password } = req.body;
+    const phone = normalizePhone(req.body.phone);
+    const lockout = await loginLockout(phone, req.ip);
+    if (lockout > 0) {
+      res.set('Retry-After', String(lockout));
+      return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+    }
+    const result = await pool.query('SELECT * FROM users WHERE phone=$1 AND deleted_at IS NULL', [phone]);
     const user = result.rows[0];
-    const valid = await bcrypt.compare(password, user.password);
+    const valid = user ? await bcrypt.compare(password || '', user.password) : false;
+    await recordLoginAttempt(phone, req.ip, valid);
     if (!valid) return res.status(400).json({ error: 'Invalid credentials' });
-    const token = jwt.sign({ id: user.id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '30d' });
-    const { password: _, ...userData } = user;
-    res.json({ user: userData, token });
+    if (user.blocked_at) return res.status(403).json({ error: 'Account blocked' });
+    const session = await issueSession(user, req);
+    const { password: _, token_version: __, ...userData } = user;
+    res.json({ user: userData, ...session });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get profile
+// Exchange a refresh token for a new access/refresh pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await withTransaction(client => rotateSession(client, req.body.refresh_token, req));
+    if (result.error) return res.status(401).json({ error: result.error });
+    res.json(result.session);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout this device
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refresh_token);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout all devices
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeAllSessions(pool, req.user.id);
+    res.json({ message: 'Logged out from all devices' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change password; other devices are logged out and this one gets a fresh session
+router.put('/password', auth, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    if (!current_password || !new_password) return res.status(400).json({ error: 'Current and new password are required' });
+    if (current_password === new_password) return res.status(400).json({ error: 'New password must be different' });
+    const result = await pool.query('SELECT password FROM users WHERE id=$1', [req.user.id]);
+    const valid = await bcrypt.compare(current_password, result.rows[0].password);
+    if (!valid) return res.status(400).json({ error: 'Current password is incorrect' });
+    const hash = await bcrypt.hash(new_password, 10);
+    const session = await withTransaction(async (client) => {
+      await client.query('UPDATE users SET password=$1, must_change_password=false WHERE id=$2', [hash, req.user.id]);
+      const user = await revokeAllSessions(client, req.user.id);
+      return issueSession(user, req, client);
+    });
+    res.json({ message: 'Password updated', ...session });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get profile; address is the default saved address (see /api/addresses)
 router.get('/profile', auth, async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, username, phone, address, role, created_at FROM users WHERE id=$1', [req.user.id]);
+    const result = await pool.query(
+      `SELECT id, username, phone, COALESCE((SELECT a.address FROM addresses a WHERE a.user_id = users.id AND a.is_default), address) as address,
+         role, phone_verified, must_change_password, created_at
+       FROM users WHERE id=$1`,
+      [req.user.id]
+    );
     if (result.rows.length === 0) return res.status(404).json({ error: 'User not found' });
     res.json(result.rows[0]);
   } catch (err) {
@@ -59,15 +256,31 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
-// Update profile
+// Update profile; a new address replaces the text of the default saved address
 router.put('/profile', auth, async (req, res) => {
   try {
     const { username, address, phone } = req.body;
-    const result = await pool.query(
-      'UPDATE users SET username=COALESCE($1,username), address=COALESCE($2,address), phone=COALESCE($3,phone) WHERE id=$4 RETURNING id, username, phone, address, role, created_at',
-      [username, address, phone, req.user.id]
-    );
-    res.json(result.rows[0]);
+    const current = await pool.query('SELECT phone FROM users WHERE id=$1', [req.user.id]);
+    if (phone && current.rows[0] && normalizePhone(phone) !== current.rows[0].phone) {
+      return res.status(400).json({ error: 'Phone changes must be confirmed by SMS via /api/auth/phone/change' });
+    }
+    const user = await withTransaction(async (client) => {
+      const result = await client.query(
+        'UPDATE users SET username=COALESCE($1,username), address=COALESCE($2,address) WHERE id=$3 RETURNING id, username, phone, address, role, phone_verified, created_at',
+        [username, address, req.user.id]
+      );
+      if (address) {
+        const updated = await client.query(
+          'UPDATE addresses SET address=$1, updated_at=NOW() WHERE user_id=$2 AND is_default',
+          [address, req.user.id]
+        );
+        if (updated.rowCount === 0) {
+          await client.query("INSERT INTO addresses (user_id, label, address, is_default) VALUES ($1, 'Adresse', $2, true)", [req.user.id, address]);
+        }
+      }
+      return result.rows[0];
+    });
+    res.json(user);
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
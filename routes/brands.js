@@ -0,0 +1,84 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { slugify, ensureSlug } = require('../taxonomy');
+const router = express.Router();
+
+// Brand list with active-product counts (public)
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT b.*, (SELECT COUNT(*) FROM products p WHERE p.brand_id = b.id AND p.is_active=true)::int as product_count
+      FROM brands b ORDER BY b.name
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create brand (admin)
+router.post('/', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { name, slug, logo } = req.body;
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+    const brand = await withTransaction(async (client) => {
+      const inserted = await client.query(
+        'INSERT INTO brands (name, slug, logo) VALUES ($1,$2,$3) RETURNING *',
+        [name.trim(), slugify(slug || name), logo || null]
+      );
+      const created = await ensureSlug(client, 'brands', inserted.rows[0]);
+      await audit(req, 'brand.create', 'brand', created.id, null, created, client);
+      return created;
+    });
+    res.status(201).json(brand);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Slug already in use' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update brand (admin); renaming also updates the products' brand label
+router.put('/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { name, slug, logo } = req.body;
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+    const brand = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM brands WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (before.rows.length === 0) return null;
+      const updated = await client.query(
+        'UPDATE brands SET name=$1, slug=$2, logo=$3 WHERE id=$4 RETURNING *',
+        [name.trim(), slugify(slug || name), logo || null, req.params.id]
+      );
+      const after = await ensureSlug(client, 'brands', updated.rows[0]);
+      await client.query('UPDATE products SET brand=$1 WHERE brand_id=$2', [after.name, after.id]);
+      await audit(req, 'brand.update', 'brand', after.id, before.rows[0], after, client);
+      return after;
+    });
+    if (!brand) return res.status(404).json({ error: 'Brand not found' });
+    res.json(brand);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Slug already in use' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete brand (admin); its products keep no brand
+router.delete('/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    await withTransaction(async (client) => {
+      await client.query("UPDATE products SET brand_id=NULL, brand='' WHERE brand_id=$1", [req.params.id]);
+      const deleted = await client.query('DELETE FROM brands WHERE id=$1 RETURNING *', [req.params.id]);
+      if (deleted.rows.length > 0) await audit(req, 'brand.delete', 'brand', req.params.id, deleted.rows[0], null, client);
+    });
+    res.json({ message: 'Brand deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
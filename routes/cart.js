@@ -0,0 +1,109 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { auth } = require('../middleware');
+const { MAX_QUANTITY, readCart, checkCartLine, upsertCartLine } = require('../cart');
+const router = express.Router();
+
+// Helper: read { product_id, variant_id, quantity } from a request body
+const readLine = (body) => {
+  const productId = parseInt(body.product_id);
+  const variantId = body.variant_id === undefined || body.variant_id === null ? null : parseInt(body.variant_id);
+  const quantity = body.quantity === undefined ? 1 : parseInt(body.quantity);
+  if (isNaN(productId) || Number.isNaN(variantId) || !(quantity >= 1)) return null;
+  return { productId, variantId, quantity };
+};
+
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Get cart, each line re-checked against current price, stock and availability
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await readCart(pool, req.user.id, baseUrl(req)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a product (or variant) to the cart
+router.post('/items', auth, async (req, res) => {
+  try {
+    const line = readLine(req.body);
+    if (!line) return res.status(400).json({ error: 'Invalid cart item' });
+    const checked = await checkCartLine(pool, line.productId, line.variantId);
+    if (checked.error) return res.status(400).json({ error: checked.error });
+    await upsertCartLine(pool, req.user.id, { ...line, price: checked.price });
+    res.status(201).json(await readCart(pool, req.user.id, baseUrl(req)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change a line's quantity (0 removes it)
+router.put('/items/:id', auth, async (req, res) => {
+  try {
+    const quantity = parseInt(req.body.quantity);
+    if (isNaN(quantity) || quantity < 0) return res.status(400).json({ error: 'Invalid quantity' });
+    const result = quantity === 0
+      ? await pool.query('DELETE FROM cart_items WHERE id=$1 AND user_id=$2 RETURNING id', [req.params.id, req.user.id])
+      : await pool.query(
+        'UPDATE cart_items SET quantity=$1, updated_at=NOW() WHERE id=$2 AND user_id=$3 RETURNING id',
+        [Math.min(quantity, MAX_QUANTITY), req.params.id, req.user.id]
+      );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Cart item not found' });
+    res.json(await readCart(pool, req.user.id, baseUrl(req)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a line
+router.delete('/items/:id', auth, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM cart_items WHERE id=$1 AND user_id=$2', [req.params.id, req.user.id]);
+    res.json(await readCart(pool, req.user.id, baseUrl(req)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Empty the cart
+router.delete('/', auth, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM cart_items WHERE user_id=$1', [req.user.id]);
+    res.json({ message: 'Cart emptied' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Merge the anonymous browser cart after login: { items: [{ id, variant_id, quantity }] }.
+// A product already in the cart keeps the larger quantity, so merging twice doesn't double it.
+router.post('/merge', auth, async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items)) return res.status(400).json({ error: 'Items must be an array' });
+    const skipped = await withTransaction(async (client) => {
+      const rejected = [];
+      for (const item of items) {
+        const line = readLine({ product_id: item.id, variant_id: item.variant_id, quantity: item.quantity });
+        const checked = line && await checkCartLine(client, line.productId, line.variantId);
+        if (!line || checked.error) {
+          rejected.push({ id: item.id, variant_id: item.variant_id ?? null, reason: checked ? checked.error : 'Invalid cart item' });
+          continue;
+        }
+        await upsertCartLine(client, req.user.id, { ...line, price: checked.price }, 'max');
+      }
+      return rejected;
+    });
+    res.json({ ...await readCart(pool, req.user.id, baseUrl(req)), skipped });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
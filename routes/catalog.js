@@ -0,0 +1,257 @@
+const express = require('express');
+const multer = require('multer');
+const AdmZip = require('adm-zip');
+const { pool, withTransaction } = require('../db');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { findTerm } = require('../taxonomy');
+const { processImage, insertImage } = require('../images');
+const { moveStock, setStock } = require('../inventory');
+const { readRows, writeRows } = require('../spreadsheet');
+const { requestPublic } = require('../remote');
+const router = express.Router();
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// Limits for images downloaded from the URLs of an import file (and for each image in its zip)
+const IMAGE_FETCH_TIMEOUT_MS = 15 * 1000;
+const IMAGE_FETCH_MAX_BYTES = 10 * 1024 * 1024;
+
+const EXPORT_COLUMNS = ['id', 'sku', 'barcode', 'name', 'category', 'brand', 'price', 'stock', 'reorder_threshold',
+  'description', 'is_active', 'is_featured', 'image_url'];
+
+// Export the whole catalog, inactive products included, as CSV or XLSX
+router.get('/export', requirePermission('products:read'), async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const result = await pool.query(`
+      SELECT p.id, p.sku, p.barcode, p.name, p.category, p.brand, p.price, p.stock, p.reorder_threshold,
+        p.description, p.is_active, p.is_featured,
+        (SELECT pi.id FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.is_primary DESC, pi.position LIMIT 1) as image_id
+      FROM products p ORDER BY p.id
+    `);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const rows = result.rows.map(({ image_id: imageId, ...p }) => ({
+      ...p,
+      image_url: imageId ? `${baseUrl}/api/products/images/${imageId}/original` : ''
+    }));
+    const file = await writeRows(rows, EXPORT_COLUMNS, format);
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="catalog-${date}.${format}"`);
+    res.send(file);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper: spreadsheet booleans ("true", "1", "oui", "yes")
+const parseBool = (value) => ['true', '1', 'yes', 'oui', 'x'].includes(String(value).toLowerCase());
+
+// Helper: image references of a row ("image" column, several separated by |)
+const imageRefs = (row) => (row.image || '').split('|').map(ref => ref.trim()).filter(Boolean);
+
+// Helper: check every row and work out what it would change; nothing is written
+const planImport = async (rows, zip) => {
+  const existing = await pool.query(`
+    SELECT p.id, p.sku, p.barcode, p.name, p.price, p.stock,
+      EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active) as has_variants
+    FROM products p
+  `);
+  const byId = new Map(existing.rows.map(p => [p.id, p]));
+  const bySku = new Map(existing.rows.filter(p => p.sku).map(p => [p.sku.toLowerCase(), p]));
+  const byBarcode = new Map(existing.rows.filter(p => p.barcode).map(p => [p.barcode, p]));
+  const termCache = new Map();
+  const term = async (table, value) => {
+    const key = `${table}:${value.toLowerCase()}`;
+    if (!termCache.has(key)) termCache.set(key, await findTerm(pool, table, value));
+    return termCache.get(key);
+  };
+
+  const seenSkus = new Set();
+  const plan = [];
+  for (const row of rows) {
+    const errors = [];
+    let match = null;
+    if (row.id) {
+      match = byId.get(parseInt(row.id));
+      if (!match) errors.push(`Unknown product id ${row.id}`);
+    } else if (row.sku) {
+      match = bySku.get(row.sku.toLowerCase());
+    } else if (row.barcode) {
+      match = byBarcode.get(row.barcode);
+    }
+    const action = match ? 'update' : 'create';
+
+    if (row.sku) {
+      if (seenSkus.has(row.sku.toLowerCase())) errors.push(`SKU ${row.sku} appears twice in the file`);
+      seenSkus.add(row.sku.toLowerCase());
+      const owner = bySku.get(row.sku.toLowerCase());
+      if (owner && match && owner.id !== match.id) errors.push(`SKU ${row.sku} belongs to product ${owner.id}`);
+    }
+
+    const fields = {};
+    if (row.name) fields.name = row.name;
+    else if (action === 'create') errors.push('Name is required');
+    if (row.sku) fields.sku = row.sku;
+    if (row.barcode) fields.barcode = row.barcode;
+    if (row.description !== undefined && row.description !== '') fields.description = row.description;
+
+    if (row.price !== undefined && row.price !== '') {
+      const price = parseFloat(row.price.replace(',', '.'));
+      if (isNaN(price) || price < 0) errors.push(`Invalid price "${row.price}"`);
+      else fields.price = price;
+    } else if (action === 'create') {
+      errors.push('Price is required');
+    }
+
+    let stock = null;
+    if (row.stock !== undefined && row.stock !== '') {
+      stock = parseInt(row.stock);
+      if (isNaN(stock) || stock < 0) errors.push(`Invalid stock "${row.stock}"`);
+      else if (match && match.has_variants) errors.push('Stock of a product with variants is managed per variant');
+    }
+    if (row.reorder_threshold) {
+      const threshold = parseInt(row.reorder_threshold);
+      if (isNaN(threshold) || threshold < 0) errors.push(`Invalid reorder threshold "${row.reorder_threshold}"`);
+      else fields.reorder_threshold = threshold;
+    }
+
+    if (row.category) {
+      const category = await term('categories', row.category);
+      if (!category) errors.push(`Unknown category "${row.category}"`);
+      else Object.assign(fields, { category: category.name, category_id: category.id });
+    } else if (action === 'create') {
+      errors.push('Category is required');
+    }
+    if (row.brand) {
+      const brand = await term('brands', row.brand);
+      if (!brand) errors.push(`Unknown brand "${row.brand}"`);
+      else Object.assign(fields, { brand: brand.name, brand_id: brand.id });
+    }
+    if (row.is_active !== undefined && row.is_active !== '') fields.is_active = parseBool(row.is_active);
+    if (row.is_featured !== undefined && row.is_featured !== '') fields.is_featured = parseBool(row.is_featured);
+
+    for (const ref of imageRefs(row)) {
+      if (!/^https?:\/\//i.test(ref) && !(zip && zip.getEntry(ref))) errors.push(`Image ${ref} is not a URL or a file in the zip`);
+    }
+
+    const changes = {};
+    if (fields.price !== undefined && (!match || parseFloat(match.price) !== fields.price)) {
+      changes.price = { from: match ? parseFloat(match.price) : null, to: fields.price };
+    }
+    if (stock !== null && !isNaN(stock) && (!match || match.stock !== stock)) {
+      changes.stock = { from: match ? match.stock : null, to: stock };
+    }
+
+    plan.push({ row: row._row, action, id: match ? match.id : null, name: fields.name || (match && match.name), fields, stock, images: imageRefs(row), changes, errors });
+  }
+  return plan;
+};
+
+// Helper: download/unzip and process the images of the plan; returns { images } keyed by ref, or { errors }
+const loadImages = async (plan, zip) => {
+  const images = new Map();
+  const errors = [];
+  for (const item of plan) {
+    for (const ref of item.images) {
+      if (images.has(ref)) continue;
+      let buffer = null;
+      try {
+        if (/^https?:\/\//i.test(ref)) {
+          const response = await requestPublic(ref, { timeoutMs: IMAGE_FETCH_TIMEOUT_MS, maxBytes: IMAGE_FETCH_MAX_BYTES });
+          if (response.status >= 200 && response.status < 300) buffer = response.body;
+        } else {
+          // Checked before inflating, so a small zip can't expand into gigabytes
+          const entry = zip.getEntry(ref);
+          if (entry.header.size <= IMAGE_FETCH_MAX_BYTES) buffer = entry.getData();
+        }
+      } catch (err) {
+        buffer = null;
+      }
+      const image = buffer && await processImage(buffer);
+      if (image) images.set(ref, image);
+      else errors.push({ row: item.row, errors: [`Could not load image ${ref}`] });
+    }
+  }
+  return { images, errors };
+};
+
+// Import products from CSV/XLSX, matched by id, SKU or barcode.
+// dry_run=true only reports per-row errors and price/stock changes; otherwise everything is applied in one transaction.
+router.post('/import', requirePermission('products:write'), upload.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }]), async (req, res) => {
+  try {
+    const file = req.files?.file?.[0];
+    if (!file) return res.status(400).json({ error: 'A CSV or XLSX file is required' });
+    let rows;
+    try {
+      rows = await readRows(file.buffer, file.originalname);
+    } catch (err) {
+      return res.status(400).json({ error: 'Could not read the file' });
+    }
+    const zipFile = req.files?.images?.[0];
+    let zip = null;
+    try {
+      if (zipFile) zip = new AdmZip(zipFile.buffer);
+    } catch (err) {
+      return res.status(400).json({ error: 'Could not read the images zip' });
+    }
+
+    const plan = await planImport(rows, zip);
+    const report = {
+      dry_run: req.body.dry_run === 'true',
+      rows: plan.length,
+      created: plan.filter(item => item.action === 'create').length,
+      updated: plan.filter(item => item.action === 'update').length,
+      errors: plan.filter(item => item.errors.length > 0).map(item => ({ row: item.row, errors: item.errors })),
+      changes: plan.filter(item => Object.keys(item.changes).length > 0)
+        .map(item => ({ row: item.row, action: item.action, id: item.id, name: item.name, ...item.changes }))
+    };
+    if (report.dry_run) return res.json(report);
+    if (report.errors.length > 0) return res.status(400).json({ error: 'The file has errors, nothing was imported', ...report });
+
+    const { images, errors } = await loadImages(plan, zip);
+    if (errors.length > 0) return res.status(400).json({ error: 'Some images could not be loaded, nothing was imported', ...report, errors });
+
+    await withTransaction(async (client) => {
+      for (const item of plan) {
+        let id = item.id;
+        const columns = Object.keys(item.fields);
+        const values = Object.values(item.fields);
+        if (item.action === 'create') {
+          const result = await client.query(
+            `INSERT INTO products (${columns.join(', ')}, stock) VALUES (${columns.map((col, idx) => `$${idx + 1}`).join(', ')}, 0) RETURNING id`,
+            values
+          );
+          id = result.rows[0].id;
+          if (item.stock > 0) {
+            await moveStock(client, { productId: id, change: item.stock, type: 'restock', reason: 'Catalog import', userId: req.user.id, reference: 'import' });
+          }
+        } else {
+          if (columns.length > 0) {
+            await client.query(
+              `UPDATE products SET ${columns.map((col, idx) => `${col}=$${idx + 1}`).join(', ')} WHERE id=$${columns.length + 1}`,
+              [...values, id]
+            );
+          }
+          if (item.stock !== null) {
+            await setStock(client, { productId: id, stock: item.stock, reason: 'Catalog import', userId: req.user.id, reference: 'import' });
+          }
+        }
+        for (const ref of item.images) await insertImage(client, id, images.get(ref));
+      }
+      await audit(req, 'catalog.import', 'catalog', file.originalname, null,
+        { rows: report.rows, created: report.created, updated: report.updated, changes: report.changes }, client);
+    });
+    res.json(report);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Duplicate SKU' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
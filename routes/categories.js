@@ -0,0 +1,139 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { slugify, ensureSlug } = require('../taxonomy');
+const { useLocale, translateRow, allTranslations, parseTranslations } = require('../i18n');
+const router = express.Router();
+
+// Helper: nest flat category rows into a tree; product_count includes subcategories
+const buildTree = (rows) => {
+  const nodes = new Map(rows.map(c => [c.id, { ...c, own_count: parseInt(c.own_count), children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  const total = (node) => {
+    node.product_count = node.own_count + node.children.reduce((sum, child) => sum + total(child), 0);
+    return node.product_count;
+  };
+  roots.forEach(total);
+  return roots;
+};
+
+const TREE_QUERY = `
+  SELECT c.*, (SELECT COUNT(*) FROM products p WHERE p.category_id = c.id AND p.is_active=true) as own_count
+  FROM categories c ORDER BY c.sort_order, c.name
+`;
+
+// Category tree with active-product counts (public). Names are in the requested language;
+// translations has every language's name for the admin form.
+router.get('/', async (req, res) => {
+  try {
+    const { locale } = useLocale(req, res);
+    const result = await pool.query(TREE_QUERY);
+    res.json(buildTree(result.rows.map(row => ({
+      ...translateRow(row, ['name'], locale),
+      translations: allTranslations(row, ['name'])
+    }))));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Helper: would making parentId the parent of id create a loop?
+const createsCycle = async (id, parentId) => {
+  const result = await pool.query(`
+    WITH RECURSIVE ancestors AS (
+      SELECT id, parent_id FROM categories WHERE id=$1
+      UNION ALL
+      SELECT c.id, c.parent_id FROM categories c JOIN ancestors a ON c.id = a.parent_id
+    ) SELECT 1 FROM ancestors WHERE id=$2
+  `, [parentId, id]);
+  return result.rows.length > 0;
+};
+
+// Create category (admin); name is in the default language, other languages go in translations
+router.post('/', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { slug, parent_id, image, sort_order } = req.body;
+    const texts = parseTranslations(req.body.translations, ['name']);
+    if (texts.error) return res.status(400).json({ error: texts.error });
+    const name = texts.base.name || req.body.name;
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+    const category = await withTransaction(async (client) => {
+      const inserted = await client.query(
+        'INSERT INTO categories (name, slug, parent_id, image, sort_order, translations) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *',
+        [name.trim(), slugify(slug || name), parent_id || null, image || null, sort_order || 0, JSON.stringify(texts.translations || {})]
+      );
+      const created = await ensureSlug(client, 'categories', inserted.rows[0]);
+      await audit(req, 'category.create', 'category', created.id, null, created, client);
+      return created;
+    });
+    res.status(201).json(category);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Slug already in use' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update category (admin); renaming also updates the products' category label
+router.put('/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { slug, parent_id, image, sort_order } = req.body;
+    const texts = parseTranslations(req.body.translations, ['name']);
+    if (texts.error) return res.status(400).json({ error: texts.error });
+    const name = texts.base.name || req.body.name;
+    if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name is required' });
+    if (parent_id && await createsCycle(parseInt(req.params.id), parseInt(parent_id))) {
+      return res.status(400).json({ error: 'A category cannot be nested inside itself' });
+    }
+    const category = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM categories WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (before.rows.length === 0) return null;
+      const updated = await client.query(
+        `UPDATE categories SET name=$1, slug=$2, parent_id=$3, image=$4, sort_order=$5, translations=COALESCE($7, translations)
+         WHERE id=$6 RETURNING *`,
+        [name.trim(), slugify(slug || name), parent_id || null, image || null, sort_order || 0, req.params.id,
+          texts.translations ? JSON.stringify(texts.translations) : null]
+      );
+      const after = await ensureSlug(client, 'categories', updated.rows[0]);
+      await client.query('UPDATE products SET category=$1 WHERE category_id=$2', [after.name, after.id]);
+      await audit(req, 'category.update', 'category', after.id, before.rows[0], after, client);
+      return after;
+    });
+    if (!category) return res.status(404).json({ error: 'Category not found' });
+    res.json(category);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'Slug already in use' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete category (admin); refuses while products still use it
+router.delete('/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    // The row lock keeps products from being moved into the category while it is checked and deleted
+    const result = await withTransaction(async (client) => {
+      const category = await client.query('SELECT * FROM categories WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (category.rows.length === 0) return {};
+      const used = await client.query('SELECT COUNT(*) FROM products WHERE category_id=$1', [req.params.id]);
+      if (parseInt(used.rows[0].count) > 0) return { inUse: true };
+      await client.query('DELETE FROM categories WHERE id=$1', [req.params.id]);
+      await audit(req, 'category.delete', 'category', req.params.id, category.rows[0], null, client);
+      return {};
+    });
+    if (result.inUse) return res.status(400).json({ error: 'Category still has products' });
+    res.json({ message: 'Category deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,223 @@
+const express = require('express');
+const { pool, withTransaction } = require('../db');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { MOVEMENT_TYPES, moveStock, setStock, receiveLot, STOCK_LEVELS_SQL } = require('../inventory');
+const router = express.Router();
+
+// Manual movement types (sales, cancellations and returns come from orders)
+const MANUAL_TYPES = MOVEMENT_TYPES.filter(type => !['sale', 'cancellation', 'return'].includes(type));
+
+// Bulk stock adjustments: each line either moves stock by `change` or sets it to `stock`; all or nothing.
+// A line with lot_id moves that lot; decreases without one are taken earliest-expiring lot first
+// ('expired' write-offs take from expired lots).
+router.post('/adjustments', requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { adjustments, reference } = req.body;
+    if (!Array.isArray(adjustments) || adjustments.length === 0) {
+      return res.status(400).json({ error: 'Adjustments are required' });
+    }
+    for (const line of adjustments) {
+      const type = line.type || 'adjustment';
+      if (!MANUAL_TYPES.includes(type)) return res.status(400).json({ error: `Type must be one of: ${MANUAL_TYPES.join(', ')}` });
+      if (!line.product_id || (line.change === undefined && line.stock === undefined)) {
+        return res.status(400).json({ error: 'Each adjustment needs a product_id and a change or stock' });
+      }
+      if (line.lot_id && line.change === undefined) return res.status(400).json({ error: 'Lot adjustments need a change' });
+      if (['damaged', 'expired'].includes(type) && !(parseInt(line.change) < 0)) {
+        return res.status(400).json({ error: 'Write-offs must have a negative change' });
+      }
+    }
+
+    const result = await withTransaction(async (client) => {
+      const applied = [];
+      const failed = [];
+      for (const line of adjustments) {
+        const movement = {
+          productId: line.product_id,
+          variantId: line.variant_id || null,
+          lotId: line.lot_id || null,
+          type: line.type || 'adjustment',
+          reason: line.reason || null,
+          userId: req.user.id,
+          reference: reference || null
+        };
+        const stock = line.stock !== undefined
+          ? await setStock(client, { ...movement, stock: parseInt(line.stock) })
+          : await moveStock(client, { ...movement, change: parseInt(line.change) });
+        if (stock === null) failed.push({ product_id: line.product_id, variant_id: movement.variantId });
+        else applied.push({ product_id: line.product_id, variant_id: movement.variantId, stock });
+      }
+      // Any failed line cancels the whole batch
+      if (failed.length > 0) throw Object.assign(new Error('Adjustment failed'), { failed });
+      await audit(req, 'inventory.adjust', 'inventory', reference || null, null, { adjustments, applied }, client);
+      return applied;
+    });
+    res.json(result);
+  } catch (err) {
+    if (err.failed) {
+      return res.status(400).json({ error: 'Unknown product or stock would go negative', items: err.failed });
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lots of a product (or all lots with stock left), earliest expiry first
+router.get('/lots', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const productId = parseInt(req.query.product_id) || null;
+    const result = await pool.query(`
+      SELECT l.*, p.name, v.label as variant_label, l.expires_at < CURRENT_DATE as expired
+      FROM stock_lots l JOIN products p ON p.id = l.product_id LEFT JOIN product_variants v ON v.id = l.variant_id
+      WHERE ${productId ? 'l.product_id=$1' : 'l.quantity > 0'}
+      ORDER BY l.expires_at NULLS LAST, l.id
+    `, productId ? [productId] : []);
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Receive stock in a lot: { product_id, variant_id, lot_number, expires_at, quantity, unit_cost }.
+// already_in_stock=true labels units already counted in stock (e.g. stock from before lots were tracked).
+router.post('/lots', requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const { product_id, variant_id, lot_number, expires_at, quantity, unit_cost, already_in_stock, reference } = req.body;
+    const productId = parseInt(product_id);
+    const variantId = variant_id ? parseInt(variant_id) : null;
+    if (isNaN(productId) || !lot_number || !(parseInt(quantity) > 0)) {
+      return res.status(400).json({ error: 'Product, lot number and a positive quantity are required' });
+    }
+    if (expires_at && !/^\d{4}-\d{2}-\d{2}$/.test(expires_at)) return res.status(400).json({ error: 'Expiry date must be YYYY-MM-DD' });
+    if (unit_cost !== undefined && unit_cost !== null && unit_cost !== '' && !(parseFloat(unit_cost) >= 0)) {
+      return res.status(400).json({ error: 'Invalid unit cost' });
+    }
+    const target = variantId
+      ? await pool.query('SELECT 1 FROM product_variants WHERE id=$1 AND product_id=$2', [variantId, productId])
+      : await pool.query('SELECT 1 FROM products WHERE id=$1', [productId]);
+    if (target.rows.length === 0) return res.status(404).json({ error: variantId ? 'Variant not found' : 'Product not found' });
+
+    const result = await withTransaction(async (client) => {
+      const received = await receiveLot(client, {
+        productId,
+        variantId,
+        lotNumber: String(lot_number).trim(),
+        expiresAt: expires_at || null,
+        quantity: parseInt(quantity),
+        unitCost: unit_cost === undefined || unit_cost === '' ? null : unit_cost,
+        alreadyInStock: already_in_stock === true,
+        userId: req.user.id,
+        reference: reference || null
+      });
+      if (received.error) return received;
+      await audit(req, 'lot.receive', 'stock_lot', received.lot.id, null, { ...received.lot, received: parseInt(quantity) }, client);
+      return received;
+    });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json(result.lot);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Lots with stock left that expire within ?days (default 30), including those already expired
+router.get('/lots/expiring', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const days = Math.max(parseInt(req.query.days) || 30, 0);
+    const result = await pool.query(`
+      SELECT l.id, l.lot_number, l.expires_at, l.quantity, l.unit_cost, l.quantity * l.unit_cost as stock_value,
+        l.product_id, p.name, l.variant_id, v.label as variant_label,
+        l.expires_at - CURRENT_DATE as days_left
+      FROM stock_lots l JOIN products p ON p.id = l.product_id LEFT JOIN product_variants v ON v.id = l.variant_id
+      WHERE l.quantity > 0 AND l.expires_at < CURRENT_DATE + $1::int
+      ORDER BY l.expires_at, p.name
+    `, [days]);
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Write off what is left of a lot (expired by default, or damaged)
+router.post('/lots/:id/write-off', requirePermission('inventory:write'), async (req, res) => {
+  try {
+    const type = req.body.type || 'expired';
+    if (!['expired', 'damaged'].includes(type)) return res.status(400).json({ error: 'Type must be expired or damaged' });
+    const result = await withTransaction(async (client) => {
+      const lot = await client.query('SELECT * FROM stock_lots WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (lot.rows.length === 0) return null;
+      const { product_id: productId, variant_id: variantId, quantity } = lot.rows[0];
+      if (quantity > 0) {
+        const stock = await moveStock(client, {
+          productId, variantId, lotId: lot.rows[0].id, change: -quantity, type, reason: req.body.reason || `Lot ${lot.rows[0].lot_number}`, userId: req.user.id
+        });
+        // Stock counted lower than the lot; roll back rather than leave the lot half written off
+        if (stock === null) throw Object.assign(new Error('Write-off failed'), { writeOff: true });
+      }
+      await audit(req, 'lot.write_off', 'stock_lot', lot.rows[0].id, lot.rows[0], { quantity: 0, type }, client);
+      return { ...lot.rows[0], written_off: quantity, quantity: 0 };
+    });
+    if (!result) return res.status(404).json({ error: 'Lot not found' });
+    res.json(result);
+  } catch (err) {
+    if (err.writeOff) return res.status(400).json({ error: 'Stock is lower than the lot quantity; count the product first' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Recall: orders that received units from a lot
+router.get('/lots/:id/orders', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT o.id, o.tracking_code, o.status, o.created_at, o.phone, COALESCE(o.guest_name, u.username) as customer_name,
+        o.wilaya, o.commune, SUM(a.quantity)::int as quantity
+      FROM order_lot_allocations a JOIN orders o ON o.id = a.order_id LEFT JOIN users u ON u.id = o.user_id
+      WHERE a.lot_id=$1
+      GROUP BY o.id, u.username ORDER BY o.created_at DESC
+    `, [req.params.id]);
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Movement history of a product
+router.get('/products/:id/movements', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const limit = Math.max(Math.min(parseInt(req.query.limit) || 50, 200), 1);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const result = await pool.query(`
+      SELECT m.*, v.label as variant_label, u.username
+      FROM stock_movements m
+      LEFT JOIN product_variants v ON v.id = m.variant_id
+      LEFT JOIN users u ON u.id = m.user_id
+      WHERE m.product_id=$1 ORDER BY m.created_at DESC, m.id DESC LIMIT $2 OFFSET $3
+    `, [req.params.id, limit, offset]);
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Products (and variants) at or below their reorder threshold
+router.get('/low-stock', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM (${STOCK_LEVELS_SQL}) levels
+      WHERE stock <= reorder_threshold ORDER BY stock, name
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
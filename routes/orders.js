@@ -1,37 +1,305 @@
 const express = require('express');
-const { pool } = require('../db');
-const { auth, adminAuth } = require('../middleware');
+const crypto = require('crypto');
+const { pool, withTransaction } = require('../db');
+const { auth, requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { parseWilaya, findRate, checkRate, shippingFee } = require('../shipping');
+const { normalizePhone, phoneSql } = require('../phones');
+const { EFFECTIVE_PRICE_SQL, variantPriceSql } = require('../pricing');
+const { applyCoupon, redeemCoupon, releaseCoupon } = require('../coupons');
+const { expiredLotsSql, moveStock, takeStock } = require('../inventory');
+const { issueInvoice, renderInvoice, renderSlip, buildPdf } = require('../documents');
+const { writeRows } = require('../spreadsheet');
+const { STATUSES, REVENUE_STATUSES, RESTOCK_STATUSES, STOCK_HOLDING_STATUSES, canTransition } = require('../orderStatus');
+const { cleanSessionId } = require('../analytics');
+const { recordEvent } = require('../outbox');
 const router = express.Router();
 
+// Helper: merge cart lines by product/variant and validate quantities
+const normalizeItems = (items) => {
+  const merged = new Map();
+  for (const item of items) {
+    const id = parseInt(item.id);
+    const variantId = item.variant_id === undefined || item.variant_id === null ? null : parseInt(item.variant_id);
+    const quantity = parseInt(item.quantity);
+    if (isNaN(id) || Number.isNaN(variantId) || isNaN(quantity) || quantity < 1) return null;
+    const key = `${id}:${variantId}`;
+    const line = merged.get(key) || { id, variant_id: variantId, quantity: 0 };
+    line.quantity += quantity;
+    merged.set(key, line);
+  }
+  return [...merged.values()];
+};
+
+// Helper: lock the products (and variants) of a cart and price every line from the DB.
+// Returns { problems } if any line can't be fulfilled.
+const priceItems = async (client, items) => {
+  const ids = items.map(item => item.id);
+  const prods = await client.query(
+    `SELECT id, name, category, brand, price, ${EFFECTIVE_PRICE_SQL} as final_price,
+       (stock - ${expiredLotsSql('products.id', 'NULL')})::int as stock, is_active,
+       EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id AND v.is_active) as has_variants
+     FROM products WHERE id = ANY($1) ORDER BY id FOR UPDATE`,
+    [ids]
+  );
+  const byId = new Map(prods.rows.map(p => [p.id, p]));
+
+  const variantIds = items.filter(item => item.variant_id !== null).map(item => item.variant_id);
+  const variants = await client.query(
+    `SELECT v.id, v.product_id, v.sku, v.label, v.price, v.is_active, ${variantPriceSql('v', 'p')} as final_price,
+       (v.stock - ${expiredLotsSql('v.product_id', 'v.id')})::int as stock
+     FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.id = ANY($1) ORDER BY v.id FOR UPDATE OF v`,
+    [variantIds]
+  );
+  const variantsById = new Map(variants.rows.map(v => [v.id, v]));
+
+  const problems = [];
+  const lines = [];
+  for (const item of items) {
+    const prod = byId.get(item.id);
+    const variant = item.variant_id !== null ? variantsById.get(item.variant_id) : null;
+    const stock = variant ? variant.stock : prod && prod.stock;
+    if (!prod || (item.variant_id !== null && (!variant || variant.product_id !== prod.id))) {
+      problems.push({ id: item.id, variant_id: item.variant_id, reason: 'not_found' });
+    } else if (!prod.is_active || (variant && !variant.is_active)) {
+      problems.push({ id: item.id, variant_id: item.variant_id, name: prod.name, reason: 'inactive' });
+    } else if (!variant && prod.has_variants) {
+      problems.push({ id: item.id, name: prod.name, reason: 'variant_required' });
+    } else if (stock < item.quantity) {
+      problems.push({
+        id: item.id,
+        variant_id: item.variant_id,
+        name: prod.name,
+        reason: 'insufficient_stock',
+        requested: item.quantity,
+        available: stock,
+        missing: item.quantity - stock
+      });
+    } else {
+      const price = parseFloat(variant ? variant.final_price : prod.final_price);
+      lines.push({
+        id: prod.id,
+        variant_id: variant ? variant.id : null,
+        variant_label: variant ? variant.label : null,
+        sku: variant ? variant.sku : null,
+        name: prod.name,
+        category: prod.category,
+        brand: prod.brand,
+        price,
+        original_price: parseFloat(variant ? variant.price : prod.price),
+        quantity: item.quantity,
+        subtotal: price * item.quantity
+      });
+    }
+  }
+  if (problems.length > 0) return { problems };
+
+  const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  return { lines, subtotal };
+};
+
+// Helper: take the priced lines of an order out of stock, earliest-expiring lots first,
+// and remember which lots were used (rows are already locked by priceItems)
+const deductStock = async (client, lines, orderId, userId) => {
+  for (const line of lines) {
+    const taken = await takeStock(client, {
+      productId: line.id, variantId: line.variant_id, quantity: line.quantity, type: 'sale', userId, reference: `order:${orderId}`
+    });
+    for (const allocation of taken.allocations.filter(a => a.lot_id)) {
+      await client.query(
+        'INSERT INTO order_lot_allocations (order_id, lot_id, product_id, variant_id, quantity) VALUES ($1,$2,$3,$4,$5)',
+        [orderId, allocation.lot_id, line.id, line.variant_id, allocation.quantity]
+      );
+    }
+  }
+};
+
+// Helper: put an order's items back in stock, into the lots they came from
+const restoreStock = async (client, order, type, userId, reason) => {
+  const allocations = await client.query('SELECT * FROM order_lot_allocations WHERE order_id=$1 ORDER BY id', [order.id]);
+  for (const item of order.items) {
+    const variantId = item.variant_id || null;
+    const movement = { productId: item.id, variantId, type, reason, userId, reference: `order:${order.id}` };
+    let remaining = item.quantity;
+    for (const allocation of allocations.rows.filter(a => a.product_id === item.id && a.variant_id === variantId)) {
+      await moveStock(client, { ...movement, lotId: allocation.lot_id, change: allocation.quantity });
+      remaining -= allocation.quantity;
+    }
+    if (remaining > 0) await moveStock(client, { ...movement, change: remaining });
+  }
+};
+
+// Helper: append an entry to an order's status timeline
+const recordStatus = (client, orderId, fromStatus, toStatus, userId, comment) =>
+  client.query(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, comment) VALUES ($1,$2,$3,$4,$5)',
+    [orderId, fromStatus, toStatus, userId, comment || null]
+  );
+
+// Helper: short, unambiguous code customers use to track an order
+const TRACKING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const generateTrackingCode = () =>
+  Array.from(crypto.randomBytes(8), b => TRACKING_ALPHABET[b % TRACKING_ALPHABET.length]).join('');
+
+// Status timeline of an order, as a JSON array column
+const TIMELINE_SQL = `COALESCE((
+  SELECT json_agg(json_build_object('status', h.to_status, 'comment', h.comment, 'at', h.created_at) ORDER BY h.created_at, h.id)
+  FROM order_status_history h WHERE h.order_id = o.id
+), '[]')`;
+
+// Helper: outbox payload describing an order (webhooks, notifications and the live admin feed)
+const orderEvent = async (client, order) => {
+  const user = order.user_id ? await client.query('SELECT username FROM users WHERE id=$1', [order.user_id]) : null;
+  return {
+    order_id: order.id,
+    tracking_code: order.tracking_code,
+    status: order.status,
+    customer: order.guest_name || (user && user.rows[0] ? user.rows[0].username : null),
+    user_id: order.user_id,
+    phone: order.phone,
+    wilaya: order.wilaya,
+    commune: order.commune,
+    delivery_mode: order.delivery_mode,
+    total: order.total,
+    items: order.items.map(item => ({
+      id: item.id, variant_id: item.variant_id, name: item.name, variant_label: item.variant_label, quantity: item.quantity, price: item.price
+    })),
+    created_at: order.created_at
+  };
+};
+
+// Helper: validate a checkout request and create the order for a user or a guest.
+// Signed-in customers may omit items to check out their server-side cart, and send address_id
+// to deliver to one of their saved addresses.
+const placeOrder = async (req, res, { userId = null, guestName = null }) => {
+  const { notes, delivery_mode = 'home', coupon_code, session_id } = req.body;
+  if (coupon_code !== undefined && coupon_code !== null && typeof coupon_code !== 'string') {
+    return res.status(400).json({ error: 'Invalid coupon code' });
+  }
+  let { items, address, phone, wilaya, commune } = req.body;
+  if (userId && req.body.address_id) {
+    const savedAddress = await pool.query('SELECT * FROM addresses WHERE id=$1 AND user_id=$2', [parseInt(req.body.address_id) || 0, userId]);
+    if (savedAddress.rows.length === 0) return res.status(400).json({ error: 'Address not found' });
+    const a = savedAddress.rows[0];
+    address = a.address;
+    phone = a.phone || phone;
+    wilaya = a.wilaya_code ?? wilaya;
+    commune = a.commune || commune;
+  }
+  // Blocked customers can't order as guests with their number either
+  const blockedPhone = normalizePhone(phone);
+  const blocked = blockedPhone
+    ? await pool.query(`SELECT 1 FROM users WHERE ${phoneSql('phone')}=$1 AND blocked_at IS NOT NULL`, [blockedPhone])
+    : { rows: [] };
+  if (blocked.rows.length > 0) return res.status(403).json({ error: 'Account blocked' });
+  if (items === undefined && userId) {
+    const saved = await pool.query('SELECT product_id as id, variant_id, quantity FROM cart_items WHERE user_id=$1', [userId]);
+    items = saved.rows;
+  }
+  if (!Array.isArray(items) || items.length === 0) return res.status(400).json({ error: 'Cart is empty' });
+  const cart = normalizeItems(items);
+  if (!cart) return res.status(400).json({ error: 'Invalid cart items' });
+
+  const wilayaCode = parseWilaya(wilaya);
+  if (wilayaCode === null) return res.status(400).json({ error: 'Invalid wilaya' });
+  if (commune !== undefined && commune !== null && typeof commune !== 'string') return res.status(400).json({ error: 'Invalid commune' });
+  const rate = await findRate(pool, wilayaCode, commune);
+  const shippingProblem = checkRate(rate, delivery_mode);
+  if (shippingProblem) return res.status(400).json({ error: shippingProblem });
+
+  const customer = { userId, phone };
+  const result = await withTransaction(async (client) => {
+    const priced = await priceItems(client, cart);
+    if (priced.problems) return priced;
+
+    let coupon = null;
+    let discount = 0;
+    if (coupon_code) {
+      const applied = await applyCoupon(client, coupon_code, priced.lines, priced.subtotal, customer);
+      if (applied.error) return { couponError: applied.error };
+      ({ coupon, discount } = applied);
+    }
+
+    const fee = shippingFee(rate, delivery_mode, priced.subtotal - discount);
+    const total = priced.subtotal - discount + fee;
+    const order = await client.query(
+      `INSERT INTO orders (user_id, guest_name, tracking_code, items, subtotal, discount, coupon_code, shipping_fee, total, address, phone, notes, wilaya_code, wilaya, commune, delivery_mode, session_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17) RETURNING *`,
+      [userId, guestName, generateTrackingCode(), JSON.stringify(priced.lines),
+        priced.subtotal.toFixed(2), discount.toFixed(2), coupon ? coupon.code : null, fee.toFixed(2), total.toFixed(2),
+        address, phone, notes || '', rate.wilaya_code, rate.wilaya_name, commune || rate.commune, delivery_mode, cleanSessionId(session_id)]
+    );
+    await deductStock(client, priced.lines, order.rows[0].id, userId);
+    if (coupon) await redeemCoupon(client, coupon, order.rows[0].id, customer, discount);
+    await recordStatus(client, order.rows[0].id, null, 'pending', userId);
+    await recordEvent(client, 'order.created', await orderEvent(client, order.rows[0]));
+    if (userId) {
+      // Ordered lines leave the saved cart
+      await client.query(
+        `DELETE FROM cart_items c USING jsonb_to_recordset($2::jsonb) AS l(id int, variant_id int)
+         WHERE c.user_id=$1 AND c.product_id = l.id AND c.variant_id IS NOT DISTINCT FROM l.variant_id`,
+        [userId, JSON.stringify(priced.lines)]
+      );
+    }
+    return { order: order.rows[0] };
+  });
+
+  if (result.problems) {
+    return res.status(409).json({ error: 'Some items are unavailable', items: result.problems });
+  }
+  if (result.couponError) return res.status(400).json({ error: result.couponError });
+  res.status(201).json(result.order);
+};
+
 // Create order
 router.post('/', auth, async (req, res) => {
   try {
-    const { items, total, address, phone, notes } = req.body;
-    if (!items || items.length === 0) return res.status(400).json({ error: 'Cart is empty' });
-    
-    // Update stock
-    for (const item of items) {
-      const prod = await pool.query('SELECT stock FROM products WHERE id=$1', [item.id]);
-      if (prod.rows.length === 0) return res.status(400).json({ error: `Product ${item.name} not found` });
-      if (prod.rows[0].stock < item.quantity) return res.status(400).json({ error: `Insufficient stock for ${item.name}` });
-      await pool.query('UPDATE products SET stock = stock - $1 WHERE id=$2', [item.quantity, item.id]);
-    }
+    await placeOrder(req, res, { userId: req.user.id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
 
-    const result = await pool.query(
-      'INSERT INTO orders (user_id, items, total, address, phone, notes) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *',
-      [req.user.id, JSON.stringify(items), total, address, phone, notes || '']
-    );
-    res.status(201).json(result.rows[0]);
+// Create order without an account (cash on delivery)
+router.post('/guest', async (req, res) => {
+  try {
+    const { name, phone, address } = req.body;
+    if (!name || !phone || !address) {
+      return res.status(400).json({ error: 'Name, phone and address are required' });
+    }
+    await placeOrder(req, res, { guestName: name });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
+// Track an order by phone + tracking code (public)
+router.get('/track', async (req, res) => {
+  try {
+    const { phone, code } = req.query;
+    if (!phone || !code) return res.status(400).json({ error: 'Phone and tracking code are required' });
+    const result = await pool.query(`
+      SELECT o.id, o.tracking_code, o.status, o.items, o.subtotal, o.discount, o.shipping_fee, o.total,
+        o.wilaya, o.commune, o.delivery_mode, o.created_at, ${TIMELINE_SQL} as timeline
+      FROM orders o WHERE o.phone=$1 AND o.tracking_code=$2
+    `, [phone.trim(), code.trim().toUpperCase()]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get user orders
 router.get('/my', auth, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM orders WHERE user_id=$1 ORDER BY created_at DESC', [req.user.id]);
+    const result = await pool.query(`
+      SELECT o.*, ${TIMELINE_SQL} as timeline
+      FROM orders o WHERE o.user_id=$1 ORDER BY o.created_at DESC
+    `, [req.user.id]);
     res.json(result.rows);
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
@@ -39,7 +307,7 @@ router.get('/my', auth, async (req, res) => {
 });
 
 // Admin: get all orders
-router.get('/admin/all', adminAuth, async (req, res) => {
+router.get('/admin/all', requirePermission('orders:read'), async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT o.*, u.username, u.phone as user_phone 
@@ -53,24 +321,181 @@ router.get('/admin/all', adminAuth, async (req, res) => {
   }
 });
 
+// Order row with the customer's name, as printed on documents
+const DOCUMENT_ORDER_SQL = `
+  SELECT o.*, COALESCE(o.guest_name, u.username) as customer_name
+  FROM orders o LEFT JOIN users u ON o.user_id = u.id
+`;
+
+// Helper: send a PDF inline
+const sendPdf = (res, buffer, filename) => {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(buffer);
+};
+
+// Admin: export orders as CSV, filtered by date range (from/to, inclusive) and status
+router.get('/admin/export', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+    let query = `${DOCUMENT_ORDER_SQL} WHERE 1=1`;
+    const params = [];
+    let i = 1;
+    if (from) { query += ` AND o.created_at >= $${i++}::date`; params.push(from); }
+    if (to) { query += ` AND o.created_at < $${i++}::date + 1`; params.push(to); }
+    if (status) { query += ` AND o.status = ANY($${i++})`; params.push(String(status).split(',')); }
+    const result = await pool.query(`${query} ORDER BY o.created_at`, params);
+
+    const rows = result.rows.map(o => ({
+      id: o.id,
+      date: new Date(o.created_at).toISOString(),
+      status: o.status,
+      tracking_code: o.tracking_code,
+      customer: o.customer_name,
+      phone: o.phone,
+      address: o.address,
+      commune: o.commune,
+      wilaya: o.wilaya,
+      delivery_mode: o.delivery_mode,
+      items: o.items.map(item => `${item.quantity} x ${item.name}${item.variant_label ? ` (${item.variant_label})` : ''}`).join(' | '),
+      subtotal: o.subtotal,
+      discount: o.discount,
+      shipping_fee: o.shipping_fee,
+      total: o.total,
+      notes: o.notes
+    }));
+    const columns = ['id', 'date', 'status', 'tracking_code', 'customer', 'phone', 'address', 'commune', 'wilaya',
+      'delivery_mode', 'items', 'subtotal', 'discount', 'shipping_fee', 'total', 'notes'];
+    const file = await writeRows(rows, columns, 'csv');
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="orders-${from || 'all'}-${to || 'all'}.csv"`);
+    res.send(file);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: print the slips (or invoices) of every confirmed order of a day in one PDF
+router.get('/admin/print', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const type = req.query.type === 'invoice' ? 'invoice' : 'slip';
+    const orders = await pool.query(
+      `${DOCUMENT_ORDER_SQL} WHERE o.status='confirmed' AND o.created_at >= $1::date AND o.created_at < $1::date + 1 ORDER BY o.id`,
+      [date]
+    );
+    if (orders.rows.length === 0) return res.status(404).json({ error: 'No confirmed orders for this day' });
+
+    if (type === 'slip') return sendPdf(res, await buildPdf(orders.rows, renderSlip), `slips-${date}.pdf`);
+    const invoices = await withTransaction(async (client) => {
+      const locked = await client.query(`${DOCUMENT_ORDER_SQL} WHERE o.id = ANY($1) ORDER BY o.id FOR UPDATE OF o`, [orders.rows.map(o => o.id)]);
+      const issued = [];
+      for (const order of locked.rows) issued.push(await issueInvoice(client, order));
+      return issued;
+    });
+    sendPdf(res, await buildPdf(invoices, renderInvoice), `invoices-${date}.pdf`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: invoice of an order (numbered on first request)
+router.get('/:id/invoice', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const order = await client.query(`${DOCUMENT_ORDER_SQL} WHERE o.id=$1 FOR UPDATE OF o`, [req.params.id]);
+      if (order.rows.length === 0) return { notFound: true };
+      if (!REVENUE_STATUSES.includes(order.rows[0].status)) return { notBillable: order.rows[0].status };
+      return { invoice: await issueInvoice(client, order.rows[0]) };
+    });
+    if (result.notFound) return res.status(404).json({ error: 'Order not found' });
+    if (result.notBillable) return res.status(400).json({ error: `Cannot invoice a ${result.notBillable} order` });
+    sendPdf(res, await buildPdf([result.invoice], renderInvoice), `${result.invoice.number}.pdf`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: delivery slip of an order
+router.get('/:id/slip', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await pool.query(`${DOCUMENT_ORDER_SQL} WHERE o.id=$1`, [req.params.id]);
+    if (order.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
+    sendPdf(res, await buildPdf(order.rows, renderSlip), `slip-${order.rows[0].id}.pdf`);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Admin: update order status
-router.put('/:id/status', adminAuth, async (req, res) => {
+router.put('/:id/status', requirePermission('orders:update-status'), async (req, res) => {
   try {
-    const { status } = req.body;
-    const result = await pool.query('UPDATE orders SET status=$1 WHERE id=$2 RETURNING *', [status, req.params.id]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Order not found' });
-    res.json(result.rows[0]);
+    const { status, comment } = req.body;
+    if (!STATUSES.includes(status)) return res.status(400).json({ error: `Status must be one of: ${STATUSES.join(', ')}` });
+
+    const result = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM orders WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (current.rows.length === 0) return { notFound: true };
+      const order = current.rows[0];
+      if (!canTransition(order.status, status)) return { invalid: order.status };
+
+      const updated = await client.query('UPDATE orders SET status=$1 WHERE id=$2 RETURNING *', [status, order.id]);
+      if (RESTOCK_STATUSES.includes(status)) {
+        await restoreStock(client, order, status === 'returned' ? 'return' : 'cancellation', req.user.id, comment);
+        await releaseCoupon(client, order.id);
+      }
+      await recordStatus(client, order.id, order.status, status, req.user.id, comment);
+      await audit(req, 'order.status', 'order', order.id, { status: order.status }, { status, comment: comment || null }, client);
+      await recordEvent(client, 'order.status_changed', { ...await orderEvent(client, updated.rows[0]), from_status: order.status, comment: comment || null });
+      return { order: updated.rows[0] };
+    });
+
+    if (result.notFound) return res.status(404).json({ error: 'Order not found' });
+    if (result.invalid) return res.status(400).json({ error: `Cannot change status from ${result.invalid} to ${status}` });
+    res.json(result.order);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: get an order's status history
+router.get('/:id/history', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT h.*, u.username as changed_by_name
+      FROM order_status_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.order_id=$1 ORDER BY h.created_at, h.id
+    `, [req.params.id]);
+    res.json(result.rows);
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Admin: delete order
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('orders:delete'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM orders WHERE id=$1', [req.params.id]);
+    await withTransaction(async (client) => {
+      const result = await client.query('SELECT * FROM orders WHERE id=$1 FOR UPDATE', [req.params.id]);
+      const order = result.rows[0];
+      if (!order) return;
+      // Stock goes back before the delete: its lot allocations are removed with the order
+      if (STOCK_HOLDING_STATUSES.includes(order.status)) {
+        await restoreStock(client, order, 'cancellation', req.user.id, 'Order deleted');
+      }
+      await releaseCoupon(client, order.id);
+      await client.query('DELETE FROM orders WHERE id=$1', [order.id]);
+      await audit(req, 'order.delete', 'order', order.id, order, null, client);
+    });
     res.json({ message: 'Order deleted' });
   } catch (err) {
+    console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -1,111 +1,374 @@
 const express = require('express');
 const multer = require('multer');
-const { pool } = require('../db');
-const { adminAuth } = require('../middleware');
+const { pool, withTransaction } = require('../db');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { categoryTreeSql, resolveTaxonomy } = require('../taxonomy');
+const { PROMO_ACTIVE_SQL, EFFECTIVE_PRICE_SQL, variantPriceSql, parsePromoFields } = require('../pricing');
+const { toPrefixQuery, tsQuerySql, PRICE_BANDS, SORTS } = require('../search');
+const { REVENUE_STATUSES } = require('../orderStatus');
+const { SIZES, processImage, insertImage } = require('../images');
+const { expiredLotsSql, moveStock, setStock, productStockSql, onlyExpiredStockSql } = require('../inventory');
+const { DEFAULT_LOCALE, useLocale, translatedSql, allTranslations, parseTranslations } = require('../i18n');
 const router = express.Router();
 
-const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+const STOCK_SQL = productStockSql('products');
 
-// Serve product image as actual image (not JSON)
+// Units sold in orders that count as revenue
+const SOLD_SQL = `(SELECT COALESCE(SUM((i->>'quantity')::int), 0) FROM orders o, jsonb_array_elements(o.items) i
+  WHERE (i->>'id')::int = products.id AND o.status IN (${REVENUE_STATUSES.map(s => `'${s}'`).join(', ')}))`;
+
+// Primary image of a product (images live in product_images)
+const PRIMARY_IMAGE_SQL = '(SELECT pi.id FROM product_images pi WHERE pi.product_id = products.id ORDER BY pi.is_primary DESC, pi.position LIMIT 1)';
+
+// Average rating and number of approved reviews
+const RATING_SQL = `(SELECT ROUND(AVG(r.rating), 1) FROM reviews r WHERE r.product_id = products.id AND r.status = 'approved') as rating_average,
+  (SELECT COUNT(*)::int FROM reviews r WHERE r.product_id = products.id AND r.status = 'approved') as review_count`;
+
+// Translatable product texts (see i18n.js)
+const PRODUCT_TEXT = ['name', 'description'];
+
+// Category name in the requested language (products keep the default-language name as a label)
+const categoryNameSql = (locale) =>
+  `COALESCE((SELECT ${translatedSql('name', locale, 'c')} FROM categories c WHERE c.id = products.category_id), products.category)`;
+
+// Columns returned to clients, texts in the given language; is_promo and final_price follow the active promotion
+const productColumns = (locale = DEFAULT_LOCALE) => `id, sku, barcode, ${translatedSql('name', locale, 'products')} as name,
+  ${categoryNameSql(locale)} as category, category_id, brand, brand_id, price, ${EFFECTIVE_PRICE_SQL} as final_price,
+  sale_price, discount_percent, promo_starts_at, promo_ends_at, ${PROMO_ACTIVE_SQL} as is_promo,
+  ${STOCK_SQL}::int as stock,
+  EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id AND v.is_active) as has_variants,
+  reorder_threshold, ${translatedSql('description', locale, 'products')} as description, is_featured, is_active, created_at,
+  ${RATING_SQL},
+  ${PRIMARY_IMAGE_SQL} as primary_image_id, translations`;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+const imageUploads = upload.fields([{ name: 'image', maxCount: 1 }, { name: 'images', maxCount: 8 }]);
+
+// Helper: image URLs of a product row (immutable per-image URLs, safe to cache for long).
+// Admin reads (withTranslations) also get every language's texts for the product form.
+const withImageUrls = (product, baseUrl, withTranslations = false) => {
+  const { primary_image_id: imageId, translations, ...rest } = product;
+  return {
+    ...rest,
+    ...(withTranslations ? { translations: allTranslations(product, PRODUCT_TEXT) } : {}),
+    has_image: Boolean(imageId),
+    image_url: imageId ? `${baseUrl}/api/products/images/${imageId}/medium` : null,
+    thumbnail_url: imageId ? `${baseUrl}/api/products/images/${imageId}/thumb` : null
+  };
+};
+
+// Helper: send an image rendition with ETag/Last-Modified, answering 304 when the client copy is current
+const sendImage = (req, res, image, size, cacheControl) => {
+  res.set('ETag', `"${image.etag}-${size}"`);
+  res.set('Last-Modified', new Date(image.created_at).toUTCString());
+  res.set('Cache-Control', cacheControl);
+  if (req.fresh) return res.status(304).end();
+  res.set('Content-Type', size === 'original' ? image.mime_type : 'image/webp');
+  res.send(image.data);
+};
+
+const IMAGE_SIZES = ['original', ...Object.keys(SIZES)];
+
+// Serve an image rendition by image id (original, medium or thumb)
+router.get('/images/:imageId/:size?', async (req, res) => {
+  try {
+    const size = req.params.size || 'original';
+    if (!IMAGE_SIZES.includes(size)) return res.status(400).send('Invalid size');
+    const result = await pool.query(
+      `SELECT ${size} as data, mime_type, etag, created_at FROM product_images WHERE id=$1`,
+      [parseInt(req.params.imageId) || 0]
+    );
+    if (result.rows.length === 0) return res.status(404).send('No image');
+    sendImage(req, res, result.rows[0], size, 'public, max-age=31536000, immutable');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error');
+  }
+});
+
+// Serve a product's primary image by product id (kept for old links; revalidated on every request)
 router.get('/image/:id', async (req, res) => {
   try {
-    const result = await pool.query('SELECT image FROM products WHERE id=$1', [req.params.id]);
-    if (result.rows.length === 0 || !result.rows[0].image) {
-      return res.status(404).send('No image');
-    }
-    const dataUri = result.rows[0].image;
-    // Parse data:image/jpeg;base64,XXXX
-    const matches = dataUri.match(/^data:(.+);base64,(.+)$/);
-    if (!matches) return res.status(404).send('Invalid image');
-    const mimeType = matches[1];
-    const buffer = Buffer.from(matches[2], 'base64');
-    res.set('Content-Type', mimeType);
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.send(buffer);
+    const size = IMAGE_SIZES.includes(req.query.size) ? req.query.size : 'original';
+    const result = await pool.query(
+      `SELECT ${size} as data, mime_type, etag, created_at FROM product_images
+       WHERE product_id=$1 ORDER BY is_primary DESC, position LIMIT 1`,
+      [parseInt(req.params.id) || 0]
+    );
+    if (result.rows.length === 0) return res.status(404).send('No image');
+    sendImage(req, res, result.rows[0], size, 'public, no-cache');
   } catch (err) {
     console.error(err);
     res.status(500).send('Error');
   }
 });
 
-// Helper: replace base64 image with URL in product object
-const addImageUrl = (product, req) => {
-  if (product.image && product.image.startsWith('data:')) {
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    product.image_url = `${baseUrl}/api/products/image/${product.id}`;
-  } else if (product.image) {
-    // Old /uploads/ path - also convert to full URL
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    product.image_url = `${baseUrl}${product.image}`;
-  } else {
-    product.image_url = null;
+// Helper: validate uploaded files and build their renditions; returns { error } if one is not a supported image.
+// A file sent in the single "image" field replaces the primary image, as the old one-image form did.
+const prepareUploads = async (files) => {
+  const uploads = [
+    ...(files?.image || []).map(file => ({ file, primary: true })),
+    ...(files?.images || []).map(file => ({ file, primary: false }))
+  ];
+  const images = [];
+  for (const { file, primary } of uploads) {
+    const image = await processImage(file.buffer);
+    if (!image) return { error: `${file.originalname} is not a JPEG, PNG or WebP image` };
+    images.push({ ...image, primary });
   }
-  // Don't send the huge base64 string to frontend
-  delete product.image;
-  return product;
+  return { images };
 };
 
-// Get all products (public)
-router.get('/', async (req, res) => {
+// Helper: add prepared images to a product's gallery
+const storeImages = async (client, productId, images) => {
+  for (const image of images) {
+    const stored = await insertImage(client, productId, image);
+    if (image.primary) {
+      await client.query('UPDATE product_images SET is_primary = (id=$1) WHERE product_id=$2', [stored.id, productId]);
+    }
+  }
+};
+
+// Helper: a product's gallery, in display order
+const listImages = async (db, productId, baseUrl) => {
+  const result = await db.query(
+    'SELECT id, position, is_primary, mime_type, width, height, created_at FROM product_images WHERE product_id=$1 ORDER BY position, id',
+    [productId]
+  );
+  return result.rows.map(img => ({
+    ...img,
+    url: `${baseUrl}/api/products/images/${img.id}/original`,
+    medium_url: `${baseUrl}/api/products/images/${img.id}/medium`,
+    thumbnail_url: `${baseUrl}/api/products/images/${img.id}/thumb`
+  }));
+};
+
+// Helper: read a product with its variants (inactive variants and all translations only for admins)
+const loadProduct = async (db, id, req, { includeInactive = false, locale = DEFAULT_LOCALE } = {}) => {
+  const result = await db.query(`SELECT ${productColumns(locale)} FROM products WHERE id=$1`, [id]);
+  if (result.rows.length === 0) return null;
+  const variants = await db.query(
+    `SELECT v.id, v.sku, v.barcode, v.label, v.price, ${variantPriceSql('v', 'p')} as final_price,
+       (v.stock - ${expiredLotsSql('v.product_id', 'v.id')})::int as stock, v.is_active, v.sort_order
+     FROM product_variants v JOIN products p ON p.id = v.product_id
+     WHERE v.product_id=$1 ${includeInactive ? '' : 'AND v.is_active=true'}
+     ORDER BY v.sort_order, v.id`,
+    [id]
+  );
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    ...withImageUrls(result.rows[0], baseUrl, includeInactive),
+    images: await listImages(db, id, baseUrl),
+    variants: variants.rows
+  };
+};
+
+// Helper: parse the variants field of a product form (JSON array, sent as a string in multipart)
+const parseVariants = (raw) => {
+  if (raw === undefined) return { variants: null };
+  let variants;
   try {
-    const { category, search, featured, promo } = req.query;
-    let query = 'SELECT id, name, category, brand, price, stock, description, is_promo, is_featured, is_active, created_at, CASE WHEN image IS NOT NULL THEN true ELSE false END as has_image FROM products WHERE 1=1';
-    const params = [];
-    let i = 1;
+    variants = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (err) {
+    return { error: 'Variants must be a JSON array' };
+  }
+  if (!Array.isArray(variants)) return { error: 'Variants must be a JSON array' };
+  for (const v of variants) {
+    if (!v.label || !(parseFloat(v.price) >= 0) || !(parseInt(v.stock) >= 0)) {
+      return { error: 'Each variant needs a label, a price and a stock' };
+    }
+  }
+  return { variants };
+};
 
-    if (category) { query += ` AND category=$${i++}`; params.push(category); }
-    if (search) { query += ` AND (LOWER(name) LIKE $${i} OR LOWER(description) LIKE $${i})`; params.push(`%${search.toLowerCase()}%`); i++; }
-    if (featured === 'true') { query += ` AND is_featured=true`; }
-    if (promo === 'true') { query += ` AND is_promo=true`; }
+// Helper: make a product's variants match the submitted list (update by id, insert new, deactivate missing).
+// Missing variants are kept inactive rather than deleted: orders, carts and the stock ledger still point at them.
+// Stock changes go through the ledger.
+const saveVariants = async (client, productId, variants, userId) => {
+  const keep = variants.filter(v => v.id).map(v => parseInt(v.id));
+  // Ids must be this product's variants; any other id would move another product's stock
+  const own = await client.query('SELECT id FROM product_variants WHERE product_id=$1', [productId]);
+  const ownIds = new Set(own.rows.map(row => row.id));
+  const unknown = keep.filter(id => !ownIds.has(id));
+  if (unknown.length > 0) throw Object.assign(new Error('Unknown variant'), { unknownVariants: unknown });
+  await client.query('UPDATE product_variants SET is_active=false WHERE product_id=$1 AND NOT (id = ANY($2))', [productId, keep]);
+  for (const [idx, v] of variants.entries()) {
+    const params = [v.sku || null, v.barcode || null, v.label, v.price, v.is_active !== false, v.sort_order ?? idx];
+    let variantId = v.id;
+    if (variantId) {
+      await client.query(
+        'UPDATE product_variants SET sku=$1, barcode=$2, label=$3, price=$4, is_active=$5, sort_order=$6 WHERE id=$7 AND product_id=$8',
+        [...params, variantId, productId]
+      );
+    } else {
+      const inserted = await client.query(
+        'INSERT INTO product_variants (sku, barcode, label, price, is_active, sort_order, product_id) VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING id',
+        [...params, productId]
+      );
+      variantId = inserted.rows[0].id;
+    }
+    await setStock(client, {
+      productId, variantId, stock: parseInt(v.stock), sellable: true, type: v.id ? 'adjustment' : 'restock', reason: 'Product form', userId
+    });
+  }
+};
+
+// Helper: WHERE clause for the public catalog filters
+const catalogFilters = (queryParams) => {
+  // Repeated query parameters arrive as arrays; only single values are used
+  const { category, brand, search, featured, promo, min_price, max_price, in_stock } = Object.fromEntries(
+    Object.entries(queryParams).filter(([, value]) => typeof value === 'string')
+  );
+  // Products whose remaining stock is all expired disappear until it is written off or restocked
+  let where = `is_active=true AND NOT ${onlyExpiredStockSql('products')}`;
+  const params = [];
+  let i = 1;
+
+  if (category) { where += ` AND category_id IN ${categoryTreeSql(`$${i++}`)}`; params.push(category); }
+  if (brand) { where += ` AND brand_id=(SELECT id FROM brands WHERE slug=$${i++})`; params.push(brand); }
+  const tsquery = toPrefixQuery(search);
+  const rankParam = tsquery ? `$${i}` : null;
+  if (tsquery) { where += ` AND search_vector @@ ${tsQuerySql(`$${i++}`)}`; params.push(tsquery); }
+  if (featured === 'true') { where += ` AND is_featured=true`; }
+  if (promo === 'true') { where += ` AND ${PROMO_ACTIVE_SQL}`; }
+  if (min_price && !isNaN(parseFloat(min_price))) { where += ` AND ${EFFECTIVE_PRICE_SQL} >= $${i++}`; params.push(parseFloat(min_price)); }
+  if (max_price && !isNaN(parseFloat(max_price))) { where += ` AND ${EFFECTIVE_PRICE_SQL} <= $${i++}`; params.push(parseFloat(max_price)); }
+  if (in_stock === 'true') { where += ` AND ${STOCK_SQL} > 0`; }
+
+  return { where, params, rankParam };
+};
+
+// Helper: ORDER BY for a sort option (relevance needs the search term at $rankParam)
+const catalogOrder = (sort, rankParam, locale) => {
+  switch (sort) {
+    case 'relevance': return rankParam ? `ts_rank(search_vector, ${tsQuerySql(rankParam)}) DESC, id DESC` : 'created_at DESC, id DESC';
+    case 'price_asc': return `${EFFECTIVE_PRICE_SQL} ASC, id DESC`;
+    case 'price_desc': return `${EFFECTIVE_PRICE_SQL} DESC, id DESC`;
+    case 'best_selling': return `${SOLD_SQL} DESC, id DESC`;
+    case 'name': return `LOWER(${translatedSql('name', locale, 'products')}) ASC, id DESC`;
+    default: return 'created_at DESC, id DESC';
+  }
+};
+
+// Helper: facet counts for the filter sidebar over the filtered catalog
+const catalogFacets = async ({ where, params }, locale) => {
+  const filtered = `WITH filtered AS (SELECT category_id, brand_id, ${EFFECTIVE_PRICE_SQL} as final_price FROM products WHERE ${where})`;
+  const categories = await pool.query(`${filtered}
+    SELECT c.id, ${translatedSql('name', locale, 'c')} as name, c.slug, COUNT(*)::int as count FROM filtered f JOIN categories c ON c.id = f.category_id
+    GROUP BY c.id ORDER BY count DESC, name`, params);
+  const brands = await pool.query(`${filtered}
+    SELECT b.id, b.name, b.slug, COUNT(*)::int as count FROM filtered f JOIN brands b ON b.id = f.brand_id
+    GROUP BY b.id ORDER BY count DESC, b.name`, params);
+  const bandCases = PRICE_BANDS.map((band, idx) =>
+    `COUNT(*) FILTER (WHERE final_price >= ${band.min}${band.max !== null ? ` AND final_price < ${band.max}` : ''})::int as b${idx}`
+  ).join(', ');
+  const prices = await pool.query(`${filtered} SELECT ${bandCases} FROM filtered`, params);
+  return {
+    categories: categories.rows,
+    brands: brands.rows,
+    price_bands: PRICE_BANDS.map((band, idx) => ({ ...band, count: prices.rows[0][`b${idx}`] }))
+  };
+};
+
+// Get products (public): search, filters and sorting, in the requested language.
+// Returns the bare array existing clients expect, every matching product unless ?limit/?offset are sent;
+// the total is in X-Total-Count. ?paged=true returns { products, total, limit, offset, ... } with 24 per page
+// by default, and ?facets=true adds the facet counts for the filter sidebar.
+router.get('/', async (req, res) => {
+  try {
+    const { locale, dir } = useLocale(req, res);
+    const filters = catalogFilters(req.query);
+    const sort = SORTS.includes(req.query.sort) ? req.query.sort : (filters.rankParam ? 'relevance' : 'newest');
+    const paged = req.query.paged === 'true';
+    const limit = paged || req.query.limit !== undefined ? Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100) : null;
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
 
-    query += ' AND is_active=true ORDER BY created_at DESC';
-    const result = await pool.query(query, params);
+    const { where, params, rankParam } = filters;
+    const result = await pool.query(
+      `SELECT ${productColumns(locale)} FROM products WHERE ${where}
+       ORDER BY ${catalogOrder(sort, rankParam, locale)} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    const count = await pool.query(`SELECT COUNT(*) FROM products WHERE ${where}`, params);
+    const total = parseInt(count.rows[0].count);
 
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const products = result.rows.map(p => ({
-      ...p,
-      image_url: p.has_image ? `${baseUrl}/api/products/image/${p.id}` : null
-    }));
+    const products = result.rows.map(p => withImageUrls(p, baseUrl));
+    const facets = req.query.facets === 'true' ? await catalogFacets(filters, locale) : undefined;
 
-    res.json(products);
+    res.set('X-Total-Count', String(total));
+    if (!paged) return res.json(products);
+    res.json({ products, total, limit, offset, sort, locale, dir, facets });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Autocomplete suggestions for the search box (public)
+router.get('/suggest', async (req, res) => {
+  try {
+    const { locale, dir } = useLocale(req, res);
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const tsquery = toPrefixQuery(q);
+    if (!tsquery) return res.json({ products: [], categories: [], brands: [], locale, dir });
+    const prefix = `${q.trim().replace(/[\\%_]/g, '\\$&')}%`;
+
+    const products = await pool.query(
+      `SELECT id, ${translatedSql('name', locale, 'products')} as name, brand, ${EFFECTIVE_PRICE_SQL} as final_price, ${PRIMARY_IMAGE_SQL} as primary_image_id FROM products
+       WHERE is_active=true AND NOT ${onlyExpiredStockSql('products')} AND search_vector @@ ${tsQuerySql('$1')}
+       ORDER BY ts_rank(search_vector, ${tsQuerySql('$1')}) DESC LIMIT 8`,
+      [tsquery]
+    );
+    const categoryName = translatedSql('name', locale, 'categories');
+    const categories = await pool.query(
+      `SELECT id, ${categoryName} as name, slug FROM categories
+       WHERE f_unaccent(LOWER(${categoryName})) LIKE f_unaccent(LOWER($1)) OR f_unaccent(LOWER(name)) LIKE f_unaccent(LOWER($1))
+       ORDER BY 2 LIMIT 5`,
+      [prefix]
+    );
+    const brands = await pool.query(
+      'SELECT id, name, slug FROM brands WHERE f_unaccent(LOWER(name)) LIKE f_unaccent(LOWER($1)) ORDER BY name LIMIT 5',
+      [prefix]
+    );
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.json({
+      products: products.rows.map(p => withImageUrls(p, baseUrl)),
+      categories: categories.rows,
+      brands: brands.rows,
+      locale,
+      dir
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get single product
+// Get single product, in the requested language
 router.get('/:id', async (req, res) => {
   try {
-    // Don't return the raw base64 column
     const numId = parseInt(req.params.id);
     if (isNaN(numId)) return res.status(400).json({ error: 'Invalid ID' });
-    
-    const result = await pool.query('SELECT id, name, category, brand, price, stock, description, is_promo, is_featured, is_active, created_at, CASE WHEN image IS NOT NULL THEN true ELSE false END as has_image FROM products WHERE id=$1', [numId]);
-    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
 
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const product = {
-      ...result.rows[0],
-      image_url: result.rows[0].has_image ? `${baseUrl}/api/products/image/${numId}` : null
-    };
-
-    res.json(product);
+    const { locale, dir } = useLocale(req, res);
+    const product = await loadProduct(pool, numId, req, { locale });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    res.json({ ...product, locale, dir });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Admin: Get ALL products (including inactive)
-router.get('/admin/all', adminAuth, async (req, res) => {
+// Admin: Get ALL products (including inactive), with all translations
+router.get('/admin/all', requirePermission('products:read'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT id, name, category, brand, price, stock, description, is_promo, is_featured, is_active, created_at, CASE WHEN image IS NOT NULL THEN true ELSE false END as has_image FROM products ORDER BY created_at DESC');
+    const result = await pool.query(`SELECT ${productColumns()} FROM products ORDER BY created_at DESC`);
 
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const products = result.rows.map(p => ({
-      ...p,
-      image_url: p.has_image ? `${baseUrl}/api/products/image/${p.id}` : null
-    }));
+    const products = result.rows.map(p => withImageUrls(p, baseUrl, true));
 
     res.json(products);
   } catch (err) {
@@ -114,47 +377,173 @@ router.get('/admin/all', adminAuth, async (req, res) => {
 });
 
 // Create product (admin)
-router.post('/', adminAuth, upload.single('image'), async (req, res) => {
+router.post('/', requirePermission('products:write'), imageUploads, async (req, res) => {
   try {
-    const { name, category, brand, price, stock, description, is_promo, is_featured, is_active } = req.body;
-    let image = null;
-    if (req.file) {
-      const base64 = req.file.buffer.toString('base64');
-      image = `data:${req.file.mimetype};base64,${base64}`;
-    }
-    const result = await pool.query(
-      `INSERT INTO products (name, category, brand, price, stock, description, image, is_promo, is_featured, is_active)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10) RETURNING id, name, category, brand, price, stock, description, is_promo, is_featured, is_active, created_at`,
-      [name, category, brand || '', price, stock, description, image, is_promo === 'true', is_featured === 'true', is_active !== 'false']
-    );
-
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const product = { ...result.rows[0], image_url: image ? `${baseUrl}/api/products/image/${result.rows[0].id}` : null };
+    const { name, sku, barcode, price, stock, description, reorder_threshold, is_featured, is_active } = req.body;
+    const promo = parsePromoFields(req.body);
+    if (promo.error) return res.status(400).json({ error: promo.error });
+    const { variants, error } = parseVariants(req.body.variants);
+    if (error) return res.status(400).json({ error });
+    const texts = parseTranslations(req.body.translations, PRODUCT_TEXT);
+    if (texts.error) return res.status(400).json({ error: texts.error });
+    const taxonomy = await resolveTaxonomy(pool, req.body);
+    if (taxonomy.error) return res.status(400).json({ error: taxonomy.error });
+    const { category, brand } = taxonomy;
+    const uploads = await prepareUploads(req.files);
+    if (uploads.error) return res.status(400).json({ error: uploads.error });
+    const product = await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO products (name, sku, barcode, category, category_id, brand, brand_id, price, stock, description, reorder_threshold, sale_price, discount_percent, promo_starts_at, promo_ends_at, is_featured, is_active, translations)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,0,$9,$10,$11,$12,$13,$14,$15,$16,$17) RETURNING id`,
+        [texts.base.name || name, sku || null, barcode || null, category.name, category.id, brand ? brand.name : '', brand ? brand.id : null, price, texts.base.description ?? description, parseInt(reorder_threshold) >= 0 ? parseInt(reorder_threshold) : 5,
+          promo.sale_price, promo.discount_percent, promo.promo_starts_at, promo.promo_ends_at, is_featured === 'true', is_active !== 'false',
+          JSON.stringify(texts.translations || {})]
+      );
+      const id = result.rows[0].id;
+      if (parseInt(stock) > 0) {
+        await moveStock(client, { productId: id, change: parseInt(stock), type: 'restock', reason: 'Initial stock', userId: req.user.id });
+      }
+      if (variants) await saveVariants(client, id, variants, req.user.id);
+      await storeImages(client, id, uploads.images);
+      const created = await loadProduct(client, id, req, { includeInactive: true });
+      await audit(req, 'product.create', 'product', id, null, created, client);
+      return created;
+    });
     res.status(201).json(product);
   } catch (err) {
+    if (err.unknownVariants) return res.status(400).json({ error: `Unknown variant: ${err.unknownVariants.join(', ')}` });
+    if (err.code === '23505') return res.status(400).json({ error: 'SKU already exists' });
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
 // Update product (admin)
-router.put('/:id', adminAuth, upload.single('image'), async (req, res) => {
+router.put('/:id', requirePermission('products:write'), imageUploads, async (req, res) => {
   try {
-    const { name, category, brand, price, stock, description, is_promo, is_featured, is_active } = req.body;
-    let query, params;
-    if (req.file) {
-      const base64 = req.file.buffer.toString('base64');
-      const image = `data:${req.file.mimetype};base64,${base64}`;
-      query = `UPDATE products SET name=$1, category=$2, brand=$3, price=$4, stock=$5, description=$6, image=$7, is_promo=$8, is_featured=$9, is_active=$10 WHERE id=$11 RETURNING id, name, category, brand, price, stock, description, is_promo, is_featured, is_active, created_at`;
-      params = [name, category, brand, price, stock, description, image, is_promo === 'true', is_featured === 'true', is_active !== 'false', req.params.id];
-    } else {
-      query = `UPDATE products SET name=$1, category=$2, brand=$3, price=$4, stock=$5, description=$6, is_promo=$7, is_featured=$8, is_active=$9 WHERE id=$10 RETURNING id, name, category, brand, price, stock, description, is_promo, is_featured, is_active, created_at`;
-      params = [name, category, brand, price, stock, description, is_promo === 'true', is_featured === 'true', is_active !== 'false', req.params.id];
-    }
-    const result = await pool.query(query, params);
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const product = { ...result.rows[0], image_url: `${baseUrl}/api/products/image/${result.rows[0].id}` };
+    const { name, sku, barcode, price, stock, description, reorder_threshold, is_featured, is_active } = req.body;
+    const promo = parsePromoFields(req.body);
+    if (promo.error) return res.status(400).json({ error: promo.error });
+    const { variants, error } = parseVariants(req.body.variants);
+    if (error) return res.status(400).json({ error });
+    const texts = parseTranslations(req.body.translations, PRODUCT_TEXT);
+    if (texts.error) return res.status(400).json({ error: texts.error });
+    const taxonomy = await resolveTaxonomy(pool, req.body);
+    if (taxonomy.error) return res.status(400).json({ error: taxonomy.error });
+    const { category, brand } = taxonomy;
+    const uploads = await prepareUploads(req.files);
+    if (uploads.error) return res.status(400).json({ error: uploads.error });
+    const fields = {
+      name: texts.base.name || name,
+      sku: sku || null,
+      barcode: barcode || null,
+      category: category.name,
+      category_id: category.id,
+      brand: brand ? brand.name : '',
+      brand_id: brand ? brand.id : null,
+      price,
+      description: texts.base.description ?? description,
+      ...promo,
+      is_featured: is_featured === 'true',
+      is_active: is_active !== 'false'
+    };
+    if (parseInt(reorder_threshold) >= 0) fields.reorder_threshold = parseInt(reorder_threshold);
+    // Translations are replaced as a whole when sent (all languages are edited together)
+    if (texts.translations) fields.translations = JSON.stringify(texts.translations);
+    const columns = Object.keys(fields);
+    const params = Object.values(fields);
+    const assignments = columns.map((col, idx) => `${col}=$${idx + 1}`).join(', ');
+    const product = await withTransaction(async (client) => {
+      const before = await loadProduct(client, req.params.id, req, { includeInactive: true });
+      const result = await client.query(
+        `UPDATE products SET ${assignments} WHERE id=$${columns.length + 1} RETURNING id`,
+        [...params, req.params.id]
+      );
+      if (result.rows.length === 0) return null;
+      const id = result.rows[0].id;
+      if (stock !== undefined && stock !== '' && parseInt(stock) >= 0) {
+        await setStock(client, { productId: id, stock: parseInt(stock), sellable: true, reason: 'Product form', userId: req.user.id });
+      }
+      if (variants) await saveVariants(client, id, variants, req.user.id);
+      await storeImages(client, id, uploads.images);
+      const updated = await loadProduct(client, id, req, { includeInactive: true });
+      await audit(req, 'product.update', 'product', id, before, updated, client);
+      return updated;
+    });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
     res.json(product);
+  } catch (err) {
+    if (err.unknownVariants) return res.status(400).json({ error: `Unknown variant: ${err.unknownVariants.join(', ')}` });
+    if (err.code === '23505') return res.status(400).json({ error: 'SKU already exists' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add images to a product's gallery (admin)
+router.post('/:id/images', requirePermission('products:write'), upload.array('images', 8), async (req, res) => {
+  try {
+    const uploads = await prepareUploads({ images: req.files });
+    if (uploads.error) return res.status(400).json({ error: uploads.error });
+    if (uploads.images.length === 0) return res.status(400).json({ error: 'No images uploaded' });
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const images = await withTransaction(async (client) => {
+      const prod = await client.query('SELECT id FROM products WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (prod.rows.length === 0) return null;
+      await storeImages(client, prod.rows[0].id, uploads.images);
+      const after = await listImages(client, prod.rows[0].id, baseUrl);
+      await audit(req, 'product.images.add', 'product', prod.rows[0].id, null, { images: after }, client);
+      return after;
+    });
+    if (!images) return res.status(404).json({ error: 'Product not found' });
+    res.status(201).json(images);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reorder a product's gallery and choose the primary image (admin)
+router.put('/:id/images', requirePermission('products:write'), async (req, res) => {
+  try {
+    const { order, primary_id } = req.body;
+    if (!Array.isArray(order)) return res.status(400).json({ error: 'Order must be an array of image ids' });
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const images = await withTransaction(async (client) => {
+      const before = await listImages(client, req.params.id, baseUrl);
+      for (const [position, imageId] of order.entries()) {
+        await client.query('UPDATE product_images SET position=$1 WHERE id=$2 AND product_id=$3', [position, imageId, req.params.id]);
+      }
+      if (primary_id) {
+        await client.query('UPDATE product_images SET is_primary = (id=$1) WHERE product_id=$2', [primary_id, req.params.id]);
+      }
+      const after = await listImages(client, req.params.id, baseUrl);
+      await audit(req, 'product.images.reorder', 'product', req.params.id, { images: before }, { images: after }, client);
+      return after;
+    });
+    res.json(images);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove an image from a product's gallery (admin); the next image becomes primary if needed
+router.delete('/:id/images/:imageId', requirePermission('products:write'), async (req, res) => {
+  try {
+    await withTransaction(async (client) => {
+      const deleted = await client.query(
+        'DELETE FROM product_images WHERE id=$1 AND product_id=$2 RETURNING id, position, is_primary, mime_type, width, height, etag',
+        [req.params.imageId, req.params.id]
+      );
+      if (deleted.rows.length > 0) await audit(req, 'product.images.delete', 'product', req.params.id, deleted.rows[0], null, client);
+      await client.query(`
+        UPDATE product_images SET is_primary=true
+        WHERE id = (SELECT id FROM product_images WHERE product_id=$1 ORDER BY position, id LIMIT 1)
+          AND NOT EXISTS (SELECT 1 FROM product_images WHERE product_id=$1 AND is_primary)
+      `, [req.params.id]);
+    });
+    res.json({ message: 'Image deleted' });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
@@ -162,9 +551,13 @@ router.put('/:id', adminAuth, upload.single('image'), async (req, res) => {
 });
 
 // Delete product (admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+router.delete('/:id', requirePermission('products:write'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM products WHERE id=$1', [req.params.id]);
+    const numId = parseInt(req.params.id);
+    if (isNaN(numId)) return res.status(400).json({ error: 'Invalid ID' });
+    const before = await loadProduct(pool, numId, req, { includeInactive: true });
+    await pool.query('DELETE FROM products WHERE id=$1', [numId]);
+    if (before) await audit(req, 'product.delete', 'product', numId, before);
     res.json({ message: 'Product deleted' });
   } catch (err) {
     res.status(500).json({ error: 'Server error' });
@@ -0,0 +1,155 @@
+const express = require('express');
+const { pool } = require('../db');
+const { auth, requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const router = express.Router();
+
+// New reviews wait in the moderation queue; only approved ones are public
+const REVIEW_STATUSES = ['pending', 'approved', 'hidden'];
+
+const REVIEW_SORTS = {
+  newest: 'r.created_at DESC, r.id DESC',
+  rating_desc: 'r.rating DESC, r.created_at DESC, r.id DESC',
+  rating_asc: 'r.rating ASC, r.created_at DESC, r.id DESC'
+};
+
+// Approved reviews of a product (public), with the rating breakdown
+router.get('/product/:productId', async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    if (isNaN(productId)) return res.status(400).json({ error: 'Invalid ID' });
+    const sort = REVIEW_SORTS[req.query.sort] ? req.query.sort : 'newest';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const result = await pool.query(`
+      SELECT r.id, r.rating, r.body, r.reply, r.replied_at, r.created_at, u.username as author
+      FROM reviews r JOIN users u ON r.user_id = u.id
+      WHERE r.product_id=$1 AND r.status='approved'
+      ORDER BY ${REVIEW_SORTS[sort]} LIMIT $2 OFFSET $3
+    `, [productId, limit, offset]);
+    const summary = await pool.query(`
+      SELECT COUNT(*)::int as total, ROUND(AVG(rating), 1) as rating_average,
+        ${[1, 2, 3, 4, 5].map(n => `COUNT(*) FILTER (WHERE rating=${n})::int as r${n}`).join(', ')}
+      FROM reviews WHERE product_id=$1 AND status='approved'
+    `, [productId]);
+
+    const { total, rating_average, ...counts } = summary.rows[0];
+    res.json({
+      reviews: result.rows,
+      total,
+      limit,
+      offset,
+      sort,
+      rating_average,
+      distribution: Object.fromEntries([1, 2, 3, 4, 5].map(n => [n, counts[`r${n}`]]))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Review a product (customer); only for products in one of their delivered orders, once per product
+router.post('/product/:productId', auth, async (req, res) => {
+  try {
+    const productId = parseInt(req.params.productId);
+    if (isNaN(productId)) return res.status(400).json({ error: 'Invalid ID' });
+    const rating = parseInt(req.body.rating);
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+    if (!(rating >= 1 && rating <= 5)) return res.status(400).json({ error: 'Rating must be between 1 and 5' });
+    if (!body) return res.status(400).json({ error: 'Review text is required' });
+    if (body.length > 2000) return res.status(400).json({ error: 'Review text is too long' });
+
+    const order = await pool.query(`
+      SELECT o.id FROM orders o
+      WHERE o.user_id=$1 AND o.status='delivered'
+        AND EXISTS (SELECT 1 FROM jsonb_array_elements(o.items) i WHERE (i->>'id')::int = $2)
+      ORDER BY o.created_at DESC LIMIT 1
+    `, [req.user.id, productId]);
+    if (order.rows.length === 0) {
+      return res.status(403).json({ error: 'You can only review products from your delivered orders' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO reviews (product_id, user_id, order_id, rating, body) VALUES ($1,$2,$3,$4,$5) RETURNING *',
+      [productId, req.user.id, order.rows[0].id, rating, body]
+    );
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'You have already reviewed this product' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Customer's own reviews, with their moderation status
+router.get('/my', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT r.*, p.name as product_name FROM reviews r JOIN products p ON r.product_id = p.id
+      WHERE r.user_id=$1 ORDER BY r.created_at DESC
+    `, [req.user.id]);
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: moderation queue (pending by default; ?status=all for everything)
+router.get('/admin', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be all or one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const result = await pool.query(`
+      SELECT r.*, u.username, u.phone, p.name as product_name
+      FROM reviews r JOIN users u ON r.user_id = u.id JOIN products p ON r.product_id = p.id
+      WHERE ($1 = 'all' OR r.status = $1)
+      ORDER BY r.created_at ${status === 'pending' ? 'ASC' : 'DESC'}, r.id LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: approve or hide a review
+router.put('/:id/status', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!REVIEW_STATUSES.includes(status)) return res.status(400).json({ error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    const before = await pool.query('SELECT * FROM reviews WHERE id=$1', [req.params.id]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'Review not found' });
+    const result = await pool.query('UPDATE reviews SET status=$1 WHERE id=$2 RETURNING *', [status, req.params.id]);
+    await audit(req, 'review.status', 'review', req.params.id, { status: before.rows[0].status }, { status });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: reply publicly to a review (empty reply removes it)
+router.put('/:id/reply', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const reply = typeof req.body.reply === 'string' ? req.body.reply.trim() : '';
+    const before = await pool.query('SELECT * FROM reviews WHERE id=$1', [req.params.id]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'Review not found' });
+    const result = await pool.query(
+      'UPDATE reviews SET reply=$1, replied_by=$2, replied_at=$3 WHERE id=$4 RETURNING *',
+      [reply || null, reply ? req.user.id : null, reply ? new Date() : null, req.params.id]
+    );
+    await audit(req, 'review.reply', 'review', req.params.id, { reply: before.rows[0].reply }, { reply: reply || null });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
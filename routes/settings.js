@@ -0,0 +1,243 @@
+const express = require('express');
+const multer = require('multer');
+const { pool, withTransaction } = require('../db');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { processSiteImage } = require('../images');
+const { LOCALES, DEFAULT_LOCALE, useLocale, translateRow, allTranslations } = require('../i18n');
+const {
+  FONTS, SETTINGS_TEXT, IMAGE_KINDS, themeSettings, parseTheme, insertRevision, publishedTheme, publishRevision
+} = require('../themes');
+const router = express.Router();
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Helper: settings as returned to the storefront, texts in the requested language;
+// translations has every language for the admin form
+const presentSettings = (req, res, settings) => {
+  const { locale, dir } = useLocale(req, res);
+  return {
+    ...translateRow(settings, SETTINGS_TEXT, locale),
+    translations: allTranslations(settings, SETTINGS_TEXT),
+    locale,
+    dir,
+    locales: LOCALES,
+    default_locale: DEFAULT_LOCALE
+  };
+};
+
+// Helper: read ?publish_at / ?revert_at style dates (empty means none) as a UTC ISO string
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') return { time: null };
+  if (typeof value !== 'string' && typeof value !== 'number') return { error: 'Invalid date' };
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return { error: 'Invalid date' };
+  return { time: date.toISOString() };
+};
+
+// Get the live site settings (public)
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM site_settings LIMIT 1');
+    if (!result.rows[0]) return res.json(useLocale(req, res));
+    res.json(presentSettings(req, res, result.rows[0]));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Update the live settings directly: saved as a new revision and published at once
+router.put('/', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const parsed = await parseTheme(pool, req.body, await publishedTheme(pool));
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const settings = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM site_settings WHERE id=1');
+      const revision = await insertRevision(client, { theme: parsed.theme, note: req.body.note || null, userId: req.user.id });
+      await publishRevision(client, revision.id, { userId: req.user.id });
+      const after = await client.query('SELECT * FROM site_settings WHERE id=1');
+      await audit(req, 'settings.update', 'site_settings', 1, before.rows[0], after.rows[0], client);
+      return after.rows[0];
+    });
+    res.json(presentSettings(req, res, settings));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Preview a revision as the storefront would see it (public, but only with the revision's preview token)
+router.get('/preview/:token', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id, status, theme FROM settings_revisions WHERE preview_token=$1', [req.params.token]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Preview not found' });
+    const revision = result.rows[0];
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      ...presentSettings(req, res, themeSettings(revision.theme)),
+      preview: true,
+      revision_id: revision.id,
+      status: revision.status
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Serve an uploaded banner/logo (public; images never change, so they are cached for long)
+router.get('/images/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT data, mime_type, etag, created_at FROM site_images WHERE id=$1', [parseInt(req.params.id) || 0]);
+    if (result.rows.length === 0) return res.status(404).send('No image');
+    const image = result.rows[0];
+    res.set('ETag', `"${image.etag}"`);
+    res.set('Last-Modified', new Date(image.created_at).toUTCString());
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    if (req.fresh) return res.status(304).end();
+    res.set('Content-Type', image.mime_type);
+    res.send(image.data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Error');
+  }
+});
+
+// Upload a banner or logo (multipart "image", kind=banner|logo); use its id in a revision
+router.post('/images', requirePermission('settings:write'), upload.single('image'), async (req, res) => {
+  try {
+    const kind = req.body.kind;
+    if (!IMAGE_KINDS[kind]) return res.status(400).json({ error: `Kind must be one of: ${Object.keys(IMAGE_KINDS).join(', ')}` });
+    if (!req.file) return res.status(400).json({ error: 'No image uploaded' });
+    const image = await processSiteImage(req.file.buffer, IMAGE_KINDS[kind]);
+    if (!image) return res.status(400).json({ error: `${req.file.originalname} is not a JPEG, PNG or WebP image` });
+    const result = await pool.query(
+      `INSERT INTO site_images (kind, mime_type, data, width, height, etag, uploaded_by) VALUES ($1,$2,$3,$4,$5,$6,$7)
+       RETURNING id, kind, width, height, created_at`,
+      [kind, image.mime_type, image.data, image.width, image.height, image.etag, req.user.id]
+    );
+    const stored = result.rows[0];
+    await audit(req, 'settings.image.upload', 'site_image', stored.id, null, stored);
+    res.status(201).json({ ...stored, url: `${req.protocol}://${req.get('host')}/api/admin/settings/images/${stored.id}` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revision history, newest first, with the fonts the form can offer
+router.get('/revisions', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT r.*, u.username as created_by_name, p.username as published_by_name
+      FROM settings_revisions r
+      LEFT JOIN users u ON u.id = r.created_by LEFT JOIN users p ON p.id = r.published_by
+      ORDER BY r.id DESC
+    `);
+    res.json({ revisions: result.rows, fonts: FONTS });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save a draft: the live theme (or the theme of from_revision_id) with the submitted changes
+router.post('/revisions', requirePermission('settings:write'), async (req, res) => {
+  try {
+    let base = await publishedTheme(pool);
+    if (req.body.from_revision_id) {
+      const from = await pool.query('SELECT theme FROM settings_revisions WHERE id=$1', [parseInt(req.body.from_revision_id) || 0]);
+      if (from.rows.length === 0) return res.status(404).json({ error: 'Revision not found' });
+      base = from.rows[0].theme;
+    }
+    const parsed = await parseTheme(pool, req.body, base);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const revision = await insertRevision(pool, { theme: parsed.theme, note: req.body.note || null, userId: req.user.id });
+    await audit(req, 'settings.revision.create', 'settings_revision', revision.id, null, revision);
+    res.status(201).json(revision);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Edit a draft
+router.put('/revisions/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const before = await pool.query('SELECT * FROM settings_revisions WHERE id=$1', [req.params.id]);
+    if (before.rows.length === 0) return res.status(404).json({ error: 'Revision not found' });
+    if (before.rows[0].status !== 'draft') return res.status(400).json({ error: 'Only drafts can be edited' });
+    const parsed = await parseTheme(pool, req.body, before.rows[0].theme);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const result = await pool.query(
+      `UPDATE settings_revisions SET theme=$1, note=COALESCE($2, note), updated_at=NOW()
+       WHERE id=$3 AND status='draft' RETURNING *`,
+      [JSON.stringify(parsed.theme), req.body.note ?? null, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(400).json({ error: 'Only drafts can be edited' });
+    await audit(req, 'settings.revision.update', 'settings_revision', req.params.id, before.rows[0], result.rows[0]);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Publish a revision now, or at publish_at; with revert_at the theme that was live before comes back then
+// (seasonal themes). Publishing an archived revision rolls back to it.
+router.post('/revisions/:id/publish', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const publishAt = parseTime(req.body.publish_at);
+    const revertAt = parseTime(req.body.revert_at);
+    if (publishAt.error || revertAt.error) return res.status(400).json({ error: 'Invalid date' });
+    const startsAt = publishAt.time ? Date.parse(publishAt.time) : Date.now();
+    if (revertAt.time && Date.parse(revertAt.time) <= startsAt) {
+      return res.status(400).json({ error: 'revert_at must be after the publication' });
+    }
+    const scheduled = publishAt.time && startsAt > Date.now();
+
+    const result = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM settings_revisions WHERE id=$1 FOR UPDATE', [req.params.id]);
+      if (before.rows.length === 0) return null;
+      if (before.rows[0].status === 'published') return { error: 'Revision is already published' };
+      let revision;
+      if (scheduled) {
+        revision = (await client.query(
+          `UPDATE settings_revisions SET status='scheduled', publish_at=$1, revert_at=$2, updated_at=NOW()
+           WHERE id=$3 RETURNING *`,
+          [publishAt.time, revertAt.time, req.params.id]
+        )).rows[0];
+      } else {
+        revision = await publishRevision(client, before.rows[0].id, { userId: req.user.id, revertAt: revertAt.time });
+      }
+      const action = before.rows[0].status === 'archived' ? 'settings.rollback' : scheduled ? 'settings.schedule' : 'settings.publish';
+      await audit(req, action, 'settings_revision', revision.id, before.rows[0], revision, client);
+      return { revision };
+    });
+    if (!result) return res.status(404).json({ error: 'Revision not found' });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json(result.revision);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a draft, or cancel a scheduled revision
+router.delete('/revisions/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const deleted = await pool.query(
+      "DELETE FROM settings_revisions WHERE id=$1 AND status IN ('draft', 'scheduled') RETURNING *",
+      [req.params.id]
+    );
+    if (deleted.rows.length === 0) return res.status(400).json({ error: 'Only drafts and scheduled revisions can be deleted' });
+    await audit(req, 'settings.revision.delete', 'settings_revision', req.params.id, deleted.rows[0]);
+    res.json({ message: 'Revision deleted' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
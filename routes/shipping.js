@@ -0,0 +1,133 @@
+const express = require('express');
+const { pool } = require('../db');
+const { requirePermission } = require('../middleware');
+const { audit } = require('../audit');
+const { parseWilaya, findRate, checkRate, shippingFee } = require('../shipping');
+const { EFFECTIVE_PRICE_SQL, variantPriceSql } = require('../pricing');
+const router = express.Router();
+
+// List served wilayas/communes with their prices (public)
+router.get('/', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM shipping_rates WHERE is_served=true ORDER BY wilaya_code, commune NULLS FIRST');
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Quote the delivery fee for a cart (public)
+router.post('/quote', async (req, res) => {
+  try {
+    const { wilaya, commune, delivery_mode = 'home', items } = req.body;
+    const wilayaCode = parseWilaya(wilaya);
+    if (wilayaCode === null) return res.status(400).json({ error: 'Invalid wilaya' });
+    if (commune !== undefined && commune !== null && typeof commune !== 'string') return res.status(400).json({ error: 'Invalid commune' });
+    const rate = await findRate(pool, wilayaCode, commune);
+    const problem = checkRate(rate, delivery_mode);
+    if (problem) return res.status(400).json({ error: problem });
+
+    // Priced like checkout: active promotions and variant prices included
+    let subtotal = 0;
+    if (Array.isArray(items) && items.length > 0) {
+      const ids = items.map(item => parseInt(item.id)).filter(id => !isNaN(id));
+      const variantIds = items.map(item => parseInt(item.variant_id)).filter(id => !isNaN(id));
+      const prods = await pool.query(
+        `SELECT id, ${EFFECTIVE_PRICE_SQL} as final_price FROM products WHERE id = ANY($1) AND is_active=true`,
+        [ids]
+      );
+      const variants = await pool.query(
+        `SELECT v.id, v.product_id, ${variantPriceSql('v', 'p')} as final_price
+         FROM product_variants v JOIN products p ON p.id = v.product_id WHERE v.id = ANY($1) AND v.is_active`,
+        [variantIds]
+      );
+      const prices = new Map(prods.rows.map(p => [p.id, parseFloat(p.final_price)]));
+      const variantPrices = new Map(variants.rows.map(v => [v.id, v]));
+      for (const item of items) {
+        const variant = variantPrices.get(parseInt(item.variant_id));
+        const price = variant && variant.product_id === parseInt(item.id) ? parseFloat(variant.final_price) : prices.get(parseInt(item.id));
+        subtotal += (price || 0) * (parseInt(item.quantity) || 0);
+      }
+      subtotal = Math.round(subtotal * 100) / 100;
+    }
+
+    const fee = shippingFee(rate, delivery_mode, subtotal);
+    res.json({
+      wilaya_code: rate.wilaya_code,
+      wilaya: rate.wilaya_name,
+      commune: rate.commune || commune || null,
+      delivery_mode,
+      subtotal,
+      shipping_fee: fee,
+      free_threshold: rate.free_threshold !== null ? parseFloat(rate.free_threshold) : null,
+      total: subtotal + fee
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: get all rates (including unserved zones)
+router.get('/admin/all', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM shipping_rates ORDER BY wilaya_code, commune NULLS FIRST');
+    res.json(result.rows);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: create rate
+router.post('/', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const { wilaya_code, wilaya_name, commune, home_price, desk_price, free_threshold, is_served } = req.body;
+    if (!wilaya_code || !wilaya_name || home_price === undefined) {
+      return res.status(400).json({ error: 'Wilaya code, wilaya name and home price are required' });
+    }
+    const result = await pool.query(
+      `INSERT INTO shipping_rates (wilaya_code, wilaya_name, commune, home_price, desk_price, free_threshold, is_served)
+       VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+      [wilaya_code, wilaya_name, commune || null, home_price, desk_price ?? null, free_threshold ?? null, is_served !== false]
+    );
+    await audit(req, 'shipping_rate.create', 'shipping_rate', result.rows[0].id, null, result.rows[0]);
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'A rate already exists for this zone' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: update rate
+router.put('/:id', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const { wilaya_code, wilaya_name, commune, home_price, desk_price, free_threshold, is_served } = req.body;
+    const before = await pool.query('SELECT * FROM shipping_rates WHERE id=$1', [req.params.id]);
+    const result = await pool.query(
+      `UPDATE shipping_rates SET wilaya_code=$1, wilaya_name=$2, commune=$3, home_price=$4, desk_price=$5, free_threshold=$6, is_served=$7
+       WHERE id=$8 RETURNING *`,
+      [wilaya_code, wilaya_name, commune || null, home_price, desk_price ?? null, free_threshold ?? null, is_served !== false, req.params.id]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Rate not found' });
+    await audit(req, 'shipping_rate.update', 'shipping_rate', req.params.id, before.rows[0], result.rows[0]);
+    res.json(result.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') return res.status(400).json({ error: 'A rate already exists for this zone' });
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Admin: delete rate
+router.delete('/:id', requirePermission('shipping:write'), async (req, res) => {
+  try {
+    const deleted = await pool.query('DELETE FROM shipping_rates WHERE id=$1 RETURNING *', [req.params.id]);
+    if (deleted.rows.length > 0) await audit(req, 'shipping_rate.delete', 'shipping_rate', req.params.id, deleted.rows[0]);
+    res.json({ message: 'Rate deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
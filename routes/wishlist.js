@@ -0,0 +1,78 @@
+const express = require('express');
+const { pool } = require('../db');
+const { auth } = require('../middleware');
+const { EFFECTIVE_PRICE_SQL } = require('../pricing');
+const { productStockSql } = require('../inventory');
+const router = express.Router();
+
+// Get wishlist with current price and availability
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT w.product_id, w.notify, w.awaiting_stock, w.notified_at, w.created_at,
+        p.name, p.brand, p.price, ${EFFECTIVE_PRICE_SQL} as final_price,
+        p.is_active AND ${productStockSql('p')} > 0 as in_stock,
+        (SELECT pi.id FROM product_images pi WHERE pi.product_id = p.id ORDER BY pi.is_primary DESC, pi.position LIMIT 1) as image_id
+      FROM wishlist_items w JOIN products p ON p.id = w.product_id
+      WHERE w.user_id=$1 ORDER BY w.created_at DESC
+    `, [req.user.id]);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    res.json(result.rows.map(({ image_id: imageId, ...item }) => ({
+      ...item,
+      thumbnail_url: imageId ? `${baseUrl}/api/products/images/${imageId}/thumb` : null
+    })));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a product; notify (default true) asks for an SMS when it is back in stock
+router.post('/', auth, async (req, res) => {
+  try {
+    const productId = parseInt(req.body.product_id);
+    if (isNaN(productId)) return res.status(400).json({ error: 'Invalid product' });
+    const notify = req.body.notify !== false;
+    const result = await pool.query(`
+      INSERT INTO wishlist_items (user_id, product_id, notify, awaiting_stock)
+      SELECT $1, p.id, $3, $3 AND NOT (p.is_active AND ${productStockSql('p')} > 0)
+      FROM products p WHERE p.id=$2
+      ON CONFLICT (user_id, product_id) DO UPDATE SET notify=EXCLUDED.notify, awaiting_stock=EXCLUDED.awaiting_stock
+      RETURNING *
+    `, [req.user.id, productId, notify]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Product not found' });
+    res.status(201).json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Turn back-in-stock alerts on or off for a product
+router.put('/:productId', auth, async (req, res) => {
+  try {
+    const notify = req.body.notify === true;
+    const result = await pool.query(`
+      UPDATE wishlist_items w SET notify=$3,
+        awaiting_stock = $3 AND NOT (SELECT p.is_active AND ${productStockSql('p')} > 0 FROM products p WHERE p.id = w.product_id)
+      WHERE w.user_id=$1 AND w.product_id=$2 RETURNING *
+    `, [req.user.id, req.params.productId, notify]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Not in wishlist' });
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a product
+router.delete('/:productId', auth, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM wishlist_items WHERE user_id=$1 AND product_id=$2', [req.user.id, req.params.productId]);
+    res.json({ message: 'Removed from wishlist' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// Turn user input into a prefix tsquery ("crème sol" -> "crème:* & sol:*"); accents are removed by f_unaccent in SQL
+const toPrefixQuery = (text) => String(text || '')
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .map(term => `${term}:*`)
+  .join(' & ');
+
+const tsQuerySql = (param) => `to_tsquery('simple', f_unaccent(${param}))`;
+
+// Price bands for the storefront filter sidebar (DA)
+const PRICE_BANDS = [
+  { key: '0-1000', min: 0, max: 1000 },
+  { key: '1000-2500', min: 1000, max: 2500 },
+  { key: '2500-5000', min: 2500, max: 5000 },
+  { key: '5000-10000', min: 5000, max: 10000 },
+  { key: '10000+', min: 10000, max: null }
+];
+
+const SORTS = ['relevance', 'newest', 'price_asc', 'price_desc', 'best_selling', 'name'];
+
+module.exports = { toPrefixQuery, tsQuerySql, PRICE_BANDS, SORTS };
@@ -1,26 +1,46 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
-const fs = require('fs');
 require('dotenv').config();
 
-const { initDB } = require('./db');
+const { pool, initDB } = require('./db');
+const { sendBackInStockAlerts } = require('./wishlist');
+const { startDispatcher } = require('./outbox');
+const { runScheduledThemes } = require('./themes');
+const { assertSmsProvider } = require('./sms');
+const { pruneLoginAttempts } = require('./sessions');
+
+// Refuse to start without a real SMS gateway in production (codes would only be logged)
+assertSmsProvider();
 
 const app = express();
 
-// Ensure uploads dir exists
-if (!fs.existsSync('uploads')) fs.mkdirSync('uploads');
+// Behind a reverse proxy req.ip is the proxy's address unless the proxy is trusted; login throttling
+// and visit hashing key on the client IP. TRUST_PROXY takes Express values: a hop count (1),
+// true, or addresses/subnets ("loopback", "10.0.0.0/8").
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? parseInt(trust) : trust === 'true' ? true : trust);
+}
 
 // Middleware
-app.use(cors({ origin: '*', credentials: true }));
+app.use(cors({ origin: '*', credentials: true, exposedHeaders: ['X-Total-Count'] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/products', require('./routes/products'));
+app.use('/api/categories', require('./routes/categories'));
+app.use('/api/brands', require('./routes/brands'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/shipping', require('./routes/shipping'));
+app.use('/api/inventory', require('./routes/inventory'));
+app.use('/api/catalog', require('./routes/catalog'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/wishlist', require('./routes/wishlist'));
+app.use('/api/addresses', require('./routes/addresses'));
+app.use('/api/admin/settings', require('./routes/settings'));
 app.use('/api/admin', require('./routes/admin'));
 
 // Health check
@@ -30,8 +50,27 @@ app.get('/api/health', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-initDB().then(() => {
-  app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
+initDB()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+    // Deliver order events to webhooks and notifiers
+    startDispatcher();
+    // Text customers whose wishlisted products are back in stock
+    setInterval(() => {
+      sendBackInStockAlerts(pool).catch(err => console.error('Back-in-stock alerts failed:', err));
+    }, 60 * 1000);
+    // Forget old login attempts
+    setInterval(() => {
+      pruneLoginAttempts().catch(err => console.error('Login attempts pruning failed:', err));
+    }, 60 * 60 * 1000);
+    // Publish scheduled themes and revert seasonal ones when their dates come
+    setInterval(() => {
+      runScheduledThemes().catch(err => console.error('Scheduled themes failed:', err));
+    }, 60 * 1000);
+  })
+  .catch((err) => {
+    console.error('Database not ready:', err.message);
+    process.exit(1);
   });
-});
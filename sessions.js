@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('./db');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Login throttling: failures within the window before the phone / IP is locked out
+const THROTTLE_WINDOW_MINUTES = 15;
+const MAX_FAILURES_PER_PHONE = 5;
+const MAX_FAILURES_PER_IP = 20;
+// Login attempts are only needed for throttling and recent history
+const LOGIN_ATTEMPT_RETENTION_DAYS = parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Helper: store a new refresh token; tokens rotated from the same login share a family
+const createRefreshToken = async (db, userId, familyId, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, ip, expires_at)
+     VALUES ($1,$2,$3,$4,$5, NOW() + make_interval(days => $6)) RETURNING id`,
+    [userId, hashToken(token), familyId, (req.headers['user-agent'] || '').slice(0, 255), req.ip, REFRESH_TOKEN_DAYS]
+  );
+  return { token, id: result.rows[0].id };
+};
+
+const signAccessToken = (user) => jwt.sign(
+  { id: user.id, role: user.role, ver: user.token_version || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Issue an access token + refresh token pair for a user (a new login)
+const issueSession = async (user, req, db = pool) => {
+  const refresh = await createRefreshToken(db, user.id, crypto.randomUUID(), req);
+  return { token: signAccessToken(user), refresh_token: refresh.token };
+};
+
+// Exchange a refresh token for a new pair. Reusing an already rotated token revokes its whole family.
+// Returns { session } or { error }.
+const rotateSession = async (client, refreshToken, req) => {
+  const result = await client.query(
+    `SELECT t.*, u.role, u.token_version, u.blocked_at FROM refresh_tokens t JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash=$1 FOR UPDATE OF t`,
+    [hashToken(refreshToken || '')]
+  );
+  const stored = result.rows[0];
+  if (!stored) return { error: 'Invalid refresh token' };
+  if (stored.revoked_at) {
+    await client.query('UPDATE refresh_tokens SET revoked_at=NOW() WHERE family_id=$1 AND revoked_at IS NULL', [stored.family_id]);
+    return { error: 'Refresh token already used' };
+  }
+  if (new Date(stored.expires_at) < new Date()) return { error: 'Refresh token expired' };
+  if (stored.blocked_at) return { error: 'Account blocked' };
+
+  const user = { id: stored.user_id, role: stored.role, token_version: stored.token_version };
+  const refresh = await createRefreshToken(client, user.id, stored.family_id, req);
+  await client.query('UPDATE refresh_tokens SET revoked_at=NOW(), replaced_by=$1 WHERE id=$2', [refresh.id, stored.id]);
+  return { session: { token: signAccessToken(user), refresh_token: refresh.token } };
+};
+
+// Revoke one refresh token
+const revokeRefreshToken = (refreshToken) =>
+  pool.query('UPDATE refresh_tokens SET revoked_at=NOW() WHERE token_hash=$1 AND revoked_at IS NULL', [hashToken(refreshToken || '')]);
+
+// Log a user out everywhere: revoke refresh tokens and invalidate outstanding access tokens
+const revokeAllSessions = async (db, userId) => {
+  await db.query('UPDATE refresh_tokens SET revoked_at=NOW() WHERE user_id=$1 AND revoked_at IS NULL', [userId]);
+  const result = await db.query('UPDATE users SET token_version = token_version + 1 WHERE id=$1 RETURNING id, role, token_version', [userId]);
+  return result.rows[0];
+};
+
+// Seconds until the phone or IP may try again, or 0 if login is allowed
+const loginLockout = async (phone, ip) => {
+  const result = await pool.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE phone=$1) as phone_failures,
+       COUNT(*) FILTER (WHERE ip=$2) as ip_failures,
+       MIN(created_at) FILTER (WHERE phone=$1) as phone_first,
+       MIN(created_at) FILTER (WHERE ip=$2) as ip_first
+     FROM login_attempts
+     WHERE success=false AND created_at > NOW() - make_interval(mins => $3) AND (phone=$1 OR ip=$2)`,
+    [phone, ip, THROTTLE_WINDOW_MINUTES]
+  );
+  const row = result.rows[0];
+  const retryAfter = (first) => Math.max(1, Math.ceil((new Date(first).getTime() + THROTTLE_WINDOW_MINUTES * 60000 - Date.now()) / 1000));
+  if (parseInt(row.phone_failures) >= MAX_FAILURES_PER_PHONE) return retryAfter(row.phone_first);
+  if (parseInt(row.ip_failures) >= MAX_FAILURES_PER_IP) return retryAfter(row.ip_first);
+  return 0;
+};
+
+// Record a login attempt; a success clears the phone's failures
+const recordLoginAttempt = async (phone, ip, success) => {
+  if (success) {
+    await pool.query('DELETE FROM login_attempts WHERE phone=$1 AND success=false', [phone]);
+  }
+  await pool.query('INSERT INTO login_attempts (phone, ip, success) VALUES ($1,$2,$3)', [phone, ip, success]);
+};
+
+const pruneLoginAttempts = async (days = LOGIN_ATTEMPT_RETENTION_DAYS) => {
+  const result = await pool.query('DELETE FROM login_attempts WHERE created_at < NOW() - make_interval(days => $1)', [days]);
+  return result.rowCount;
+};
+
+module.exports = {
+  issueSession, rotateSession, revokeRefreshToken, revokeAllSessions, loginLockout, recordLoginAttempt, pruneLoginAttempts
+};
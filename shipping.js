@@ -0,0 +1,35 @@
+const DELIVERY_MODES = ['home', 'desk'];
+
+// Helper: read a wilaya code sent by a client (number or digits); returns the code or null when invalid
+const parseWilaya = (value) => {
+  if (typeof value !== 'number' && (typeof value !== 'string' || !/^\s*\d+\s*$/.test(value))) return null;
+  const code = Number(value);
+  return Number.isInteger(code) && code > 0 ? code : null;
+};
+
+// Find the rate for a wilaya, preferring a commune-specific row over the wilaya-wide one
+const findRate = async (db, wilayaCode, commune) => {
+  const result = await db.query(
+    `SELECT * FROM shipping_rates
+     WHERE wilaya_code=$1 AND (commune IS NULL OR LOWER(commune)=LOWER($2))
+     ORDER BY commune IS NULL LIMIT 1`,
+    [wilayaCode, commune || '']
+  );
+  return result.rows[0] || null;
+};
+
+// Check a rate can serve the requested delivery mode; returns an error message or null
+const checkRate = (rate, mode) => {
+  if (!DELIVERY_MODES.includes(mode)) return `Delivery mode must be one of: ${DELIVERY_MODES.join(', ')}`;
+  if (!rate || !rate.is_served) return 'We do not deliver to this area';
+  if (mode === 'desk' && rate.desk_price === null) return 'Stop-desk delivery is not available in this area';
+  return null;
+};
+
+// Fee for a cart subtotal, honouring the free-shipping threshold
+const shippingFee = (rate, mode, subtotal) => {
+  if (rate.free_threshold !== null && subtotal >= parseFloat(rate.free_threshold)) return 0;
+  return parseFloat(mode === 'desk' ? rate.desk_price : rate.home_price);
+};
+
+module.exports = { DELIVERY_MODES, parseWilaya, findRate, checkRate, shippingFee };
@@ -0,0 +1,70 @@
+const fs = require('fs');
+
+const SMS_TIMEOUT_MS = 10 * 1000;
+
+// SMS providers share one method: send(phone, message) -> Promise.
+// "http" posts { to, message, sender } as JSON to the gateway at SMS_HTTP_URL (with SMS_HTTP_TOKEN as a
+// bearer token and SMS_SENDER as the sender id when set); most SMS gateways offer such an endpoint.
+// Development stand-ins: "console" prints the message, "file" appends it to SMS_LOG_FILE (one JSON line per SMS).
+const providers = {
+  http: {
+    send: async (phone, message) => {
+      const token = process.env.SMS_HTTP_TOKEN;
+      const response = await fetch(process.env.SMS_HTTP_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify({ to: phone, message, sender: process.env.SMS_SENDER || null }),
+        signal: AbortSignal.timeout(SMS_TIMEOUT_MS)
+      });
+      if (!response.ok) throw new Error(`SMS gateway answered HTTP ${response.status}`);
+    }
+  },
+  console: {
+    send: async (phone, message) => {
+      console.log(`[SMS to ${phone}] ${message}`);
+    }
+  },
+  file: {
+    send: async (phone, message) => {
+      const line = JSON.stringify({ phone, message, sent_at: new Date().toISOString() });
+      await fs.promises.appendFile(process.env.SMS_LOG_FILE || 'sms.log', `${line}\n`);
+    }
+  }
+};
+
+let current = null;
+
+// Register a real gateway (or a test double) under a name
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Provider chosen by SMS_PROVIDER (defaults to console)
+const getSmsProvider = () => {
+  if (!current) {
+    const name = process.env.SMS_PROVIDER || 'console';
+    if (!providers[name]) throw new Error(`Unknown SMS provider "${name}"`);
+    current = providers[name];
+  }
+  return current;
+};
+
+// Startup check: in production an unset SMS_PROVIDER would print every code to the logs and text nobody.
+// Use SMS_PROVIDER=http, or register another gateway with registerSmsProvider before this runs.
+const assertSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER;
+  if (process.env.NODE_ENV === 'production' && (!name || name === 'console' || name === 'file')) {
+    throw new Error('SMS_PROVIDER must name a real SMS gateway in production (e.g. SMS_PROVIDER=http with SMS_HTTP_URL)');
+  }
+  if (name === 'http' && !process.env.SMS_HTTP_URL) throw new Error('SMS_PROVIDER=http needs SMS_HTTP_URL');
+  getSmsProvider();
+};
+
+// Override the active provider (e.g. in tests)
+const setSmsProvider = (provider) => {
+  current = provider;
+};
+
+const sendSms = (phone, message) => getSmsProvider().send(phone, message);
+
+module.exports = { registerSmsProvider, assertSmsProvider, setSmsProvider, sendSms };
@@ -0,0 +1,64 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+// Text starting with one of these is run as a formula by spreadsheet apps (=HYPERLINK(...) in a customer's
+// name, say); exported cells get a leading apostrophe, which imports strip again
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+const escapeFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) && !NUMBER.test(value) ? `'${value}` : value);
+
+// Helper: plain value of an ExcelJS cell (rich text, formulas and hyperlinks included)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+  }
+  const text = String(value).trim();
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+};
+
+// Read the first sheet of a CSV or XLSX file into objects keyed by lower-cased header
+const readRows = async (buffer, filename) => {
+  const workbook = new ExcelJS.Workbook();
+  if (/\.csv$/i.test(filename)) {
+    // Keep every cell as text: the default map turns "00123" into 123 and date-like strings into Dates
+    await workbook.csv.read(Readable.from(buffer.toString('utf8').replace(/^\uFEFF/, '')), {
+      map: value => value,
+      parserOptions: { trim: true }
+    });
+  } else {
+    await workbook.xlsx.load(buffer);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, col) => { headers[col] = cellValue(cell.value).toLowerCase(); });
+  const rows = [];
+  sheet.eachRow((row, number) => {
+    if (number === 1) return;
+    const record = { _row: number };
+    headers.forEach((header, col) => { if (header) record[header] = cellValue(row.getCell(col).value); });
+    rows.push(record);
+  });
+  return rows;
+};
+
+// Write objects as a CSV or XLSX file using the given columns
+const writeRows = async (rows, columns, format) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Sheet1');
+  sheet.columns = columns.map(key => ({ header: key, key }));
+  rows.forEach(row => sheet.addRow(Object.fromEntries(columns.map(key => [key, escapeFormula(row[key])]))));
+  if (format === 'csv') {
+    // BOM so Excel opens French/Arabic text as UTF-8
+    return Buffer.concat([Buffer.from('\uFEFF'), Buffer.from(await workbook.csv.writeBuffer())]);
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = { readRows, writeRows };
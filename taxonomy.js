@@ -0,0 +1,76 @@
+// URL-friendly slug; keeps Arabic and other letters, drops French accents
+const slugify = (text) => String(text)
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '-')
+  .replace(/^-+|-+$/g, '');
+
+// Ids of a category (by slug) and all of its subcategories, as a subquery
+const categoryTreeSql = (param) => `(
+  WITH RECURSIVE tree AS (
+    SELECT id FROM categories WHERE slug=${param}
+    UNION ALL
+    SELECT c.id FROM categories c JOIN tree t ON c.parent_id = t.id
+  ) SELECT id FROM tree
+)`;
+
+// Helper: find a category or brand by id, slug or (case-insensitive) name
+const findTerm = async (db, table, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const result = await db.query(
+    `SELECT * FROM ${table} WHERE id::text=$1 OR slug=$1 OR LOWER(name)=LOWER($1) ORDER BY id LIMIT 1`,
+    [String(value).trim()]
+  );
+  return result.rows[0] || null;
+};
+
+// Resolve the category/brand of a product form to taxonomy rows; unknown values are rejected
+const resolveTaxonomy = async (db, body) => {
+  const category = await findTerm(db, 'categories', body.category_id || body.category);
+  if (!category) return { error: 'Unknown category' };
+  const brandValue = body.brand_id || body.brand;
+  const brand = await findTerm(db, 'brands', brandValue);
+  if (brandValue && !brand) return { error: 'Unknown brand' };
+  return { category, brand };
+};
+
+// Helper: insert a term under a free slug (adds -2, -3... on collision)
+const insertTerm = async (client, table, name) => {
+  const base = slugify(name) || table;
+  for (let n = 1; ; n++) {
+    const slug = n === 1 ? base : `${base}-${n}`;
+    const result = await client.query(
+      `INSERT INTO ${table} (name, slug) VALUES ($1,$2) ON CONFLICT (slug) DO NOTHING RETURNING *`,
+      [name, slug]
+    );
+    if (result.rows.length > 0) return result.rows[0];
+  }
+};
+
+// Helper: names without letters or digits slugify to ''; such a term gets "<table>-<id>" as its slug
+const ensureSlug = async (client, table, term) => {
+  if (term.slug) return term;
+  const result = await client.query(`UPDATE ${table} SET slug = $2 || '-' || id WHERE id=$1 RETURNING *`, [term.id, table]);
+  return result.rows[0];
+};
+
+// One-off: turn the free-text category/brand columns into taxonomy rows.
+// Names that only differ by case or accents end up in the same term.
+const migrateTaxonomy = async (client) => {
+  for (const [table, column] of [['categories', 'category'], ['brands', 'brand']]) {
+    const names = await client.query(
+      `SELECT DISTINCT ${column} as name FROM products WHERE ${column}_id IS NULL AND COALESCE(${column}, '') <> ''`
+    );
+    for (const { name } of names.rows) {
+      const existing = await client.query(`SELECT * FROM ${table} WHERE slug=$1`, [slugify(name)]);
+      const term = existing.rows[0] || await insertTerm(client, table, name.trim());
+      await client.query(
+        `UPDATE products SET ${column}_id=$1, ${column}=$2 WHERE ${column}_id IS NULL AND ${column}=$3`,
+        [term.id, term.name, name]
+      );
+    }
+  }
+};
+
+module.exports = { slugify, categoryTreeSql, findTerm, resolveTaxonomy, ensureSlug, migrateTaxonomy };
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { pool, withTransaction } = require('./db');
+const { parseTranslations } = require('./i18n');
+
+// Site theme: what a settings revision holds. Drafts are previewed with their preview token,
+// publishing copies the theme into site_settings (the live settings every page reads).
+const REVISION_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const COLOR_FIELDS = ['primary_color', 'secondary_color', 'accent_color', 'bg_color', 'text_color'];
+const FONTS = ['Poppins', 'Cairo', 'Tajawal', 'Almarai', 'Amiri', 'Noto Sans Arabic', 'Roboto', 'Open Sans', 'Lato', 'Montserrat'];
+const SETTINGS_TEXT = ['hero_title', 'hero_subtitle'];
+const TEXT_LIMITS = { hero_title: 255, hero_subtitle: 1000 };
+// Uploaded site images are resized to fit these widths
+const IMAGE_KINDS = { banner: 1920, logo: 512 };
+
+const imagePath = (id) => `/api/admin/settings/images/${id}`;
+
+// Settings as the storefront reads them, from a revision's theme
+const themeSettings = (theme) => ({
+  ...Object.fromEntries([...COLOR_FIELDS, 'font_family', ...SETTINGS_TEXT].map(field => [field, theme[field] ?? null])),
+  translations: theme.translations || {},
+  // Revisions made before image uploads keep the old banner_image value
+  banner_image: theme.banner_image_id ? imagePath(theme.banner_image_id) : theme.banner_image ?? null,
+  logo_image: theme.logo_image_id ? imagePath(theme.logo_image_id) : null
+});
+
+// Helper: apply a settings form onto a theme (fields not sent are kept); returns { theme } or { error }
+const parseTheme = async (db, body, base) => {
+  const theme = { ...base };
+  for (const field of COLOR_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(body[field])) {
+      return { error: `${field} must be a hex color like #2d6a4f` };
+    }
+    theme[field] = body[field].toLowerCase();
+  }
+  if (body.font_family !== undefined) {
+    if (!FONTS.includes(body.font_family)) return { error: `Font must be one of: ${FONTS.join(', ')}` };
+    theme.font_family = body.font_family;
+  }
+
+  const texts = parseTranslations(body.translations, SETTINGS_TEXT);
+  if (texts.error) return { error: texts.error };
+  for (const field of SETTINGS_TEXT) {
+    const value = texts.base[field] ?? body[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string' || !value.trim()) return { error: `${field} must be text` };
+    if (value.length > TEXT_LIMITS[field]) return { error: `${field} is too long` };
+    theme[field] = value.trim();
+  }
+  if (texts.translations) theme.translations = texts.translations;
+
+  for (const kind of Object.keys(IMAGE_KINDS)) {
+    const field = `${kind}_image_id`;
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      theme[field] = null;
+    } else {
+      const image = await db.query('SELECT id FROM site_images WHERE id=$1 AND kind=$2', [parseInt(body[field]) || 0, kind]);
+      if (image.rows.length === 0) return { error: `Unknown ${kind} image` };
+      theme[field] = image.rows[0].id;
+    }
+    if (kind === 'banner') delete theme.banner_image;
+  }
+  return { theme };
+};
+
+// Helper: new revision row (drafts are previewed with the token)
+const insertRevision = async (db, { theme, status = 'draft', note = null, userId = null }) => {
+  const result = await db.query(
+    'INSERT INTO settings_revisions (theme, status, note, preview_token, created_by) VALUES ($1,$2,$3,$4,$5) RETURNING *',
+    [JSON.stringify(theme), status, note, crypto.randomBytes(24).toString('hex'), userId]
+  );
+  return result.rows[0];
+};
+
+// Theme of the live revision
+const publishedTheme = async (db) => {
+  const result = await db.query(
+    'SELECT r.theme FROM site_settings s JOIN settings_revisions r ON r.id = s.revision_id WHERE s.id=1'
+  );
+  return result.rows[0] ? result.rows[0].theme : {};
+};
+
+// Make a revision the live one; the previously published revision is archived.
+// With revertAt, the previous revision is published again at that time (seasonal themes).
+const publishRevision = async (client, revisionId, { userId = null, revertAt = null } = {}) => {
+  const live = await client.query('SELECT revision_id FROM site_settings WHERE id=1 FOR UPDATE');
+  const previousId = live.rows[0] ? live.rows[0].revision_id : null;
+  await client.query("UPDATE settings_revisions SET status='archived' WHERE status='published' AND id<>$1", [revisionId]);
+  const result = await client.query(
+    `UPDATE settings_revisions SET status='published', published_at=NOW(), published_by=$2, publish_at=NULL,
+       revert_at=$3, reverts_to=$4, updated_at=NOW()
+     WHERE id=$1 RETURNING *`,
+    [revisionId, userId, revertAt, revertAt && previousId !== revisionId ? previousId : null]
+  );
+  const revision = result.rows[0];
+  const settings = themeSettings(revision.theme);
+  const columns = Object.keys(settings);
+  await client.query(
+    `UPDATE site_settings SET ${columns.map((col, idx) => `${col}=$${idx + 1}`).join(', ')},
+       revision_id=$${columns.length + 1}, updated_at=NOW()
+     WHERE id=1`,
+    [...columns.map(col => (col === 'translations' ? JSON.stringify(settings[col]) : settings[col])), revision.id]
+  );
+  return revision;
+};
+
+// Publish scheduled revisions that are due, and revert seasonal themes whose time is up.
+// Each change runs in its own transaction.
+const runScheduledThemes = async () => {
+  const due = await pool.query(`
+    SELECT id, 'publish' as action FROM settings_revisions WHERE status='scheduled' AND publish_at <= NOW()
+    UNION ALL
+    SELECT id, 'revert' FROM settings_revisions WHERE status='published' AND revert_at <= NOW()
+  `);
+  for (const { id, action } of due.rows) {
+    await withTransaction(async (client) => {
+      const revision = await client.query('SELECT * FROM settings_revisions WHERE id=$1 FOR UPDATE', [id]);
+      const row = revision.rows[0];
+      if (action === 'publish' && row && row.status === 'scheduled') {
+        await publishRevision(client, id, { userId: row.created_by, revertAt: row.revert_at });
+      } else if (action === 'revert' && row && row.status === 'published') {
+        await client.query('UPDATE settings_revisions SET revert_at=NULL WHERE id=$1', [id]);
+        if (row.reverts_to) await publishRevision(client, row.reverts_to);
+      }
+    });
+  }
+  return due.rows.length;
+};
+
+module.exports = {
+  REVISION_STATUSES, FONTS, SETTINGS_TEXT, IMAGE_KINDS,
+  themeSettings, parseTheme, insertRevision, publishedTheme, publishRevision, runScheduledThemes
+};
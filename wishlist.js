@@ -0,0 +1,25 @@
+const { productStockSql } = require('./inventory');
+const { sendSms } = require('./sms');
+
+// Text customers whose wishlisted products are available again. Rows are flagged awaiting_stock
+// when the product sells out (moveStock) or is wishlisted while unavailable; each one is texted once.
+const sendBackInStockAlerts = async (db) => {
+  const due = await db.query(`
+    UPDATE wishlist_items w SET awaiting_stock=false, notified_at=NOW()
+    FROM products p, users u
+    WHERE p.id = w.product_id AND u.id = w.user_id
+      AND w.awaiting_stock AND w.notify AND u.phone_verified
+      AND p.is_active AND ${productStockSql('p')} > 0
+    RETURNING u.phone, p.name
+  `);
+  for (const { phone, name } of due.rows) {
+    try {
+      await sendSms(phone, `Parapharmacie Shifa : ${name} est de nouveau disponible !`);
+    } catch (err) {
+      console.error(`Back-in-stock SMS to ${phone} failed:`, err.message);
+    }
+  }
+  return due.rows.length;
+};
+
+module.exports = { sendBackInStockAlerts };